@@ -0,0 +1,135 @@
+/**
+ * CogniTrain - Adaptive Difficulty Module
+ * A weighted up/down staircase that tunes each game's parameters trial by trial
+ * to keep accuracy near a target, so training stays at the edge of ability.
+ *
+ * Each game has a level from 0 (its easy config) to 1 (its hard config), with
+ * 0.5 landing exactly on medium. A correct trial raises the level by
+ * step * (1 - target) and an error lowers it by step * target, which settles
+ * where accuracy equals the target (Kaernbach, 1991).
+ */
+
+const Adaptive = {
+    // Difficulty value used by the "Adaptive" selector button
+    MODE: 'adaptive',
+
+    // Accuracy the staircase converges to
+    TARGET: 0.8,
+
+    // Default step size; games with one trial per session use a larger one
+    STEP: 0.1,
+
+    // Parameters tuned for each game, interpolated between its easy, medium and hard config
+    games: {
+        'stroop-test': { params: ['congruent', 'time'] },
+        'flanker-task': { params: ['congruent', 'displayTime'] },
+        'sequence-recall': { params: ['speed'] },
+        'n-back': { params: ['interval', 'lureRate'] },
+        'memory-match': { params: ['pairs'], step: 0.25 },
+        'pattern-puzzle': { params: ['optionCount', 'lives'] },
+        'task-switching': { params: ['cueInterval', 'switchRate'] },
+        'symbol-digit': { params: ['symbols', 'time'], step: 0.25 }
+    },
+
+    /**
+     * Check whether a difficulty value means adaptive mode
+     * @param {string} difficulty - Selected difficulty
+     * @returns {boolean}
+     */
+    isActive(difficulty) {
+        return difficulty === this.MODE;
+    },
+
+    /**
+     * Get a game's current level
+     * @param {string} game - Game identifier
+     * @returns {number} Level from 0 (easy) to 1 (hard)
+     */
+    getLevel(game) {
+        return Storage.getMeta('adaptive')?.[game]?.level || 0;
+    },
+
+    /**
+     * Record a trial outcome and move the staircase
+     * @param {string} game - Game identifier
+     * @param {boolean} correct - Whether the trial was answered correctly
+     * @returns {number} New level
+     */
+    record(game, correct) {
+        const state = { ...Storage.getMeta('adaptive') };
+        const current = state[game] || { level: 0, trials: 0, correct: 0 };
+        const step = this.games[game]?.step || this.STEP;
+
+        const delta = correct ? step * (1 - this.TARGET) : -step * this.TARGET;
+        const level = Math.min(1, Math.max(0, current.level + delta));
+
+        state[game] = {
+            level: level,
+            trials: current.trials + 1,
+            correct: current.correct + (correct ? 1 : 0)
+        };
+        Storage.setMeta('adaptive', state);
+
+        return level;
+    },
+
+    /**
+     * Resolve a per-difficulty table for the selected difficulty.
+     * Fixed difficulties return their own entry; adaptive mode interpolates
+     * numbers directly and config objects parameter by parameter.
+     * @param {string} game - Game identifier
+     * @param {Object} table - { easy, medium, hard } of numbers or config objects
+     * @param {string} difficulty - Selected difficulty
+     * @returns {number|Object} Value for this difficulty
+     */
+    resolve(game, table, difficulty) {
+        if (!this.isActive(difficulty)) {
+            return table[difficulty];
+        }
+
+        const level = this.getLevel(game);
+
+        if (typeof table.easy === 'number') {
+            return this.interpolate(table, null, level);
+        }
+
+        // Untuned values come from the nearest fixed difficulty
+        const nearest = level < 0.25 ? 'easy' : level < 0.75 ? 'medium' : 'hard';
+        const config = { ...table[nearest] };
+
+        for (const param of this.games[game]?.params || []) {
+            config[param] = this.interpolate(table, param, level);
+        }
+
+        return config;
+    },
+
+    /**
+     * Interpolate one value along easy -> medium -> hard
+     * @param {Object} table - { easy, medium, hard }
+     * @param {string} key - Config key (ignored for tables of plain numbers)
+     * @param {number} level - 0 to 1
+     * @returns {number} Interpolated value; rounded when all three are integers
+     */
+    interpolate(table, key, level) {
+        const pick = (entry) => typeof entry === 'number' ? entry : entry[key];
+        const [from, to, t] = level <= 0.5
+            ? [pick(table.easy), pick(table.medium), level * 2]
+            : [pick(table.medium), pick(table.hard), (level - 0.5) * 2];
+
+        const value = from + (to - from) * t;
+        const integers = ['easy', 'medium', 'hard'].every(d => Number.isInteger(pick(table[d])));
+
+        return integers ? Math.round(value) : value;
+    },
+
+    /**
+     * Extra fields to save with a session so its tuning can be reconstructed
+     * @param {string} game - Game identifier
+     * @param {string} difficulty - Selected difficulty
+     * @returns {Object} { adaptiveLevel } in adaptive mode, otherwise empty
+     */
+    describe(game, difficulty) {
+        return this.isActive(difficulty) ? { adaptiveLevel: this.getLevel(game) } : {};
+    }
+};
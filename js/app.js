@@ -36,6 +36,12 @@ const App = {
 
         // Update daily suggestion
         this.updateDailySuggestion();
+
+        // Update guided session panel
+        const sessionEl = document.getElementById('session-panel');
+        if (sessionEl) {
+            TrainingSession.renderPanel(sessionEl);
+        }
     },
 
     /**
@@ -47,11 +53,13 @@ const App = {
 
         const todayCount = Storage.getTodayCount();
         const streak = Storage.getStreak();
+        const goal = Storage.getSetting('dailyGoal');
 
         if (todayCount === 0) {
             suggestionEl.textContent = "Start your day with a quick memory exercise!";
-        } else if (todayCount < 3) {
-            suggestionEl.textContent = `Great start! Try ${3 - todayCount} more exercise${3 - todayCount > 1 ? 's' : ''} for a full session.`;
+        } else if (todayCount < goal) {
+            const remaining = goal - todayCount;
+            suggestionEl.textContent = `Great start! Try ${remaining} more exercise${remaining > 1 ? 's' : ''} to reach your daily goal.`;
         } else {
             suggestionEl.textContent = `Excellent work today! You've completed ${todayCount} exercises.`;
         }
@@ -122,7 +130,7 @@ const App = {
     }
 };
 
-// Initialize app when DOM is ready
+// Initialize app when DOM and stored data are ready
 document.addEventListener('DOMContentLoaded', () => {
-    App.init();
+    Storage.ready.then(() => App.init());
 });
@@ -0,0 +1,158 @@
+/**
+ * CogniTrain - Item Calibration Module
+ * A Rasch (one-parameter IRT) model of item difficulty and player ability.
+ *
+ * The chance of solving an item is 1 / (1 + e^(difficulty - ability)), both in
+ * logits. An item starts at a prior difficulty supplied by its game and moves
+ * after every first attempt by an Elo-style step that shrinks as the item
+ * collects responses. Ability is the maximum a posteriori estimate (standard
+ * normal prior) over the player's most recent responses, with a standard error.
+ */
+
+const Calibration = {
+    // Responses kept per game for the ability estimate
+    HISTORY: 100,
+
+    // Difficulty step for a new item, and how quickly it shrinks with responses
+    STEP: 0.4,
+    DECAY: 0.05,
+
+    // Logits are shown as levels: 5 is an average item, each level is half a logit
+    LEVEL_ORIGIN: 5,
+    LEVELS_PER_LOGIT: 2,
+
+    /**
+     * Chance of a correct response under the Rasch model
+     * @param {number} ability - Ability in logits
+     * @param {number} difficulty - Item difficulty in logits
+     * @returns {number} 0 to 1
+     */
+    probability(ability, difficulty) {
+        return 1 / (1 + Math.exp(difficulty - ability));
+    },
+
+    /**
+     * Get a game's calibration data
+     * @param {string} game - Game identifier
+     * @returns {Object} { items: { [tag]: { difficulty, responses, correct } }, responses: [{ item, correct }] }
+     */
+    getState(game) {
+        return Storage.getMeta('calibration')?.[game] || { items: {}, responses: [] };
+    },
+
+    /**
+     * Current difficulty of an item
+     * @param {string} game - Game identifier
+     * @param {Object} item - { tag, prior }
+     * @returns {number} Difficulty in logits (the prior until the item has responses)
+     */
+    getDifficulty(game, item) {
+        return this.getState(game).items[item.tag]?.difficulty ?? item.prior;
+    },
+
+    /**
+     * Record a first attempt at an item, recalibrating it and the player's ability
+     * @param {string} game - Game identifier
+     * @param {Object} item - { tag, prior }
+     * @param {boolean} correct - Whether the item was solved
+     * @returns {Object} New ability estimate, as getAbility()
+     */
+    record(game, item, correct) {
+        const state = this.getState(game);
+        const stats = state.items[item.tag] || { difficulty: item.prior, responses: 0, correct: 0 };
+
+        const ability = this.estimate(state).ability;
+        const step = this.STEP / (1 + this.DECAY * stats.responses);
+        const residual = (correct ? 1 : 0) - this.probability(ability, stats.difficulty);
+
+        const updated = {
+            items: {
+                ...state.items,
+                [item.tag]: {
+                    difficulty: stats.difficulty - step * residual,
+                    responses: stats.responses + 1,
+                    correct: stats.correct + (correct ? 1 : 0)
+                }
+            },
+            responses: [...state.responses, { item: item.tag, correct: correct }].slice(-this.HISTORY)
+        };
+
+        Storage.setMeta('calibration', { ...Storage.getMeta('calibration'), [game]: updated });
+
+        return this.estimate(updated);
+    },
+
+    /**
+     * Estimate ability from a set of responses by Newton-Raphson
+     * @param {Object} state - Calibration data from getState()
+     * @returns {Object} { ability, standardError, responses } with ability in logits
+     */
+    estimate(state) {
+        const difficulties = state.responses.map(response => state.items[response.item]?.difficulty ?? 0);
+        let ability = 0;
+        let information = 1;
+
+        for (let i = 0; i < 25; i++) {
+            // The standard normal prior adds -ability to the gradient and 1 to the information
+            let gradient = -ability;
+            information = 1;
+
+            state.responses.forEach((response, j) => {
+                const p = this.probability(ability, difficulties[j]);
+                gradient += (response.correct ? 1 : 0) - p;
+                information += p * (1 - p);
+            });
+
+            const change = gradient / information;
+            ability += change;
+            if (Math.abs(change) < 0.001) break;
+        }
+
+        return {
+            ability: ability,
+            standardError: 1 / Math.sqrt(information),
+            responses: state.responses.length
+        };
+    },
+
+    /**
+     * Get a game's current ability estimate
+     * @param {string} game - Game identifier
+     * @returns {Object} { ability, standardError, responses }
+     */
+    getAbility(game) {
+        return this.estimate(this.getState(game));
+    },
+
+    /**
+     * Pick an item the player should solve with about the given chance,
+     * choosing at random among the few closest so puzzles keep varying
+     * @param {string} game - Game identifier
+     * @param {Array} items - Candidate items, each with { tag, prior }
+     * @param {number} successRate - Target chance of solving it
+     * @param {string} [exclude] - Tag to avoid, e.g. the previous item
+     * @param {Object} [state] - Calibration data to use instead of the stored data, as getState()
+     * @returns {Object} The chosen item with its current `difficulty`
+     */
+    selectItem(game, items, successRate, exclude, state = this.getState(game)) {
+        const ability = this.estimate(state).ability;
+        const target = ability - Math.log(successRate / (1 - successRate));
+
+        const ranked = items
+            .filter(item => item.tag !== exclude)
+            .map(item => ({ ...item, difficulty: state.items[item.tag]?.difficulty ?? item.prior }))
+            .sort((a, b) => Math.abs(a.difficulty - target) - Math.abs(b.difficulty - target));
+
+        const closest = ranked.slice(0, 5);
+        return Random.pick(closest);
+    },
+
+    /**
+     * Express logits as a level
+     * @param {number} logits - Ability or difficulty
+     * @returns {number} Level, at least 1
+     */
+    toLevel(logits) {
+        return Math.max(1, Math.round(this.LEVEL_ORIGIN + logits * this.LEVELS_PER_LOGIT));
+    }
+};
@@ -0,0 +1,273 @@
+/**
+ * CogniTrain - Charts Module
+ * Small dependency-free SVG charts for the Progress page
+ */
+
+const Charts = {
+    SVG_NS: 'http://www.w3.org/2000/svg',
+
+    // Series colours, matching the difficulty badges in the history list
+    COLORS: {
+        easy: '#22c55e',
+        medium: '#f97316',
+        hard: '#ef4444',
+        adaptive: '#818cf8'
+    },
+
+    /**
+     * Create an SVG element with attributes
+     * @param {string} tag - SVG tag name
+     * @param {Object} attrs - Attributes to set
+     * @returns {SVGElement}
+     */
+    el(tag, attrs = {}) {
+        const node = document.createElementNS(this.SVG_NS, tag);
+        for (const name in attrs) {
+            node.setAttribute(name, attrs[name]);
+        }
+        return node;
+    },
+
+    /**
+     * Rolling mean of a list of numbers
+     * @param {Array} values - Numbers in order
+     * @param {number} window - How many values each mean covers
+     * @returns {Array} Mean at each position (shorter windows at the start)
+     */
+    rollingAverage(values, window = 5) {
+        return values.map((_, i) => {
+            const slice = values.slice(Math.max(0, i - window + 1), i + 1);
+            return slice.reduce((a, b) => a + b, 0) / slice.length;
+        });
+    },
+
+    /**
+     * Round a maximum up to a tidy axis limit
+     * @param {number} max - Largest value to show
+     * @returns {number} Axis maximum
+     */
+    niceMax(max) {
+        if (max <= 0) return 10;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(max)));
+        const steps = [1, 2, 2.5, 5, 10];
+        return steps.map(s => s * magnitude).find(v => v >= max);
+    },
+
+    /**
+     * Build a line chart. Each series is drawn as dots for raw values and a
+     * line for its rolling average.
+     * @param {Array} series - [{ label, color, points: [{ x, y }] }], points sorted by x
+     * @param {Object} options - { xMin, xMax, formatX, width, height, window }
+     * @returns {SVGElement}
+     */
+    lineChart(series, options = {}) {
+        const width = options.width || 600;
+        const height = options.height || 220;
+        const pad = { top: 15, right: 15, bottom: 30, left: 45 };
+        const plotW = width - pad.left - pad.right;
+        const plotH = height - pad.top - pad.bottom;
+
+        const allPoints = series.flatMap(s => s.points);
+        const xMin = options.xMin ?? Math.min(...allPoints.map(p => p.x));
+        const xMax = options.xMax ?? Math.max(...allPoints.map(p => p.x));
+        const yMax = this.niceMax(Math.max(...allPoints.map(p => p.y)));
+
+        const sx = x => pad.left + (xMax === xMin ? plotW / 2 : (x - xMin) / (xMax - xMin) * plotW);
+        const sy = y => pad.top + plotH - (y / yMax) * plotH;
+
+        const svg = this.el('svg', {
+            viewBox: `0 0 ${width} ${height}`,
+            class: 'chart',
+            role: 'img'
+        });
+
+        // Horizontal grid lines and y labels
+        for (let i = 0; i <= 4; i++) {
+            const value = yMax * i / 4;
+            const y = sy(value);
+            svg.appendChild(this.el('line', {
+                x1: pad.left, x2: width - pad.right, y1: y, y2: y, class: 'chart-grid'
+            }));
+            const label = this.el('text', { x: pad.left - 8, y: y + 4, class: 'chart-label', 'text-anchor': 'end' });
+            label.textContent = Math.round(value);
+            svg.appendChild(label);
+        }
+
+        // X labels at start, middle and end
+        const formatX = options.formatX || (x => x);
+        [xMin, (xMin + xMax) / 2, xMax].forEach((x, i) => {
+            const label = this.el('text', {
+                x: sx(x),
+                y: height - 8,
+                class: 'chart-label',
+                'text-anchor': ['start', 'middle', 'end'][i]
+            });
+            label.textContent = formatX(x);
+            svg.appendChild(label);
+        });
+
+        for (const s of series) {
+            const averages = this.rollingAverage(s.points.map(p => p.y), options.window);
+
+            if (s.points.length > 1) {
+                const d = s.points.map((p, i) => `${i ? 'L' : 'M'}${sx(p.x).toFixed(1)},${sy(averages[i]).toFixed(1)}`).join(' ');
+                svg.appendChild(this.el('path', { d, stroke: s.color, class: 'chart-line' }));
+            }
+
+            for (const p of s.points) {
+                const dot = this.el('circle', { cx: sx(p.x), cy: sy(p.y), r: 3, fill: s.color, class: 'chart-dot' });
+                const title = this.el('title');
+                title.textContent = `${s.label}: ${p.y} (${formatX(p.x)})`;
+                dot.appendChild(title);
+                svg.appendChild(dot);
+            }
+        }
+
+        return svg;
+    },
+
+    /**
+     * Build a radar chart of 0-100 values
+     * @param {Array} axes - [{ label, value }], value may be null for "no data"
+     * @param {Object} options - { size, color }
+     * @returns {SVGElement}
+     */
+    radarChart(axes, options = {}) {
+        const size = options.size || 320;
+        const color = options.color || 'var(--primary-color)';
+        const center = size / 2;
+        const radius = size / 2 - 60;
+
+        const point = (i, value) => {
+            const angle = (Math.PI * 2 * i) / axes.length - Math.PI / 2;
+            const r = radius * value / 100;
+            return [center + r * Math.cos(angle), center + r * Math.sin(angle)];
+        };
+
+        const svg = this.el('svg', {
+            viewBox: `0 0 ${size} ${size}`,
+            class: 'chart radar',
+            role: 'img'
+        });
+
+        // Rings at 25, 50, 75 and 100
+        for (const ring of [25, 50, 75, 100]) {
+            const ringPoints = axes.map((_, i) => point(i, ring).join(',')).join(' ');
+            svg.appendChild(this.el('polygon', { points: ringPoints, class: 'chart-grid', fill: 'none' }));
+        }
+
+        // Spokes and labels
+        axes.forEach((axis, i) => {
+            const [x, y] = point(i, 100);
+            svg.appendChild(this.el('line', { x1: center, y1: center, x2: x, y2: y, class: 'chart-grid' }));
+
+            const [lx, ly] = point(i, 125);
+            const label = this.el('text', {
+                x: lx,
+                y: ly + 4,
+                class: 'chart-label radar-label',
+                'text-anchor': Math.abs(lx - center) < 1 ? 'middle' : lx > center ? 'start' : 'end'
+            });
+            label.textContent = `${axis.label} ${axis.value === null ? '–' : axis.value}`;
+            svg.appendChild(label);
+        });
+
+        // Value polygon (missing values drawn at 0)
+        const valuePoints = axes.map((axis, i) => point(i, axis.value ?? 0).join(',')).join(' ');
+        svg.appendChild(this.el('polygon', {
+            points: valuePoints,
+            class: 'radar-area',
+            fill: color,
+            stroke: color
+        }));
+
+        return svg;
+    },
+
+    /**
+     * Build a calendar heatmap of daily activity, one column per week ending this week
+     * @param {Object} counts - { 'YYYY-MM-DD': count }
+     * @param {Object} options - { weeks, today, isRestDay(day), frozen: [days] }
+     * @returns {SVGElement}
+     */
+    heatmap(counts, options = {}) {
+        const weeks = options.weeks || 17;
+        const today = options.today || DateUtils.dayKey();
+        const frozen = new Set(options.frozen || []);
+        const cell = 14;
+        const gap = 3;
+        const left = 28;
+        const top = 16;
+
+        // Start on the Sunday `weeks - 1` weeks before this week's Sunday
+        const start = DateUtils.addDays(today, -DateUtils.weekday(today) - (weeks - 1) * 7);
+        const max = Math.max(1, ...Object.values(counts));
+
+        const svg = this.el('svg', {
+            viewBox: `0 0 ${left + weeks * (cell + gap)} ${top + 7 * (cell + gap)}`,
+            class: 'chart heatmap',
+            role: 'img'
+        });
+
+        ['S', 'M', 'T', 'W', 'T', 'F', 'S'].forEach((name, row) => {
+            if (row % 2 === 0) return;
+            const label = this.el('text', { x: 0, y: top + row * (cell + gap) + cell - 3, class: 'chart-label' });
+            label.textContent = name;
+            svg.appendChild(label);
+        });
+
+        for (let week = 0; week < weeks; week++) {
+            for (let row = 0; row < 7; row++) {
+                const day = DateUtils.addDays(start, week * 7 + row);
+                if (day > today) continue;
+
+                // Month label over the first week of each month
+                if (row === 0 && day.slice(8) <= (week === 0 ? '21' : '07')) {
+                    const label = this.el('text', { x: left + week * (cell + gap), y: 11, class: 'chart-label' });
+                    label.textContent = DateUtils.parse(day).toLocaleDateString('en-US', { month: 'short' });
+                    svg.appendChild(label);
+                }
+
+                const count = counts[day] || 0;
+                let className = 'heatmap-cell';
+                if (count === 0 && frozen.has(day)) className += ' frozen';
+                else if (count === 0 && options.isRestDay && options.isRestDay(day)) className += ' rest';
+
+                const rect = this.el('rect', {
+                    x: left + week * (cell + gap),
+                    y: top + row * (cell + gap),
+                    width: cell,
+                    height: cell,
+                    rx: 3,
+                    class: className
+                });
+                if (count > 0) {
+                    rect.setAttribute('fill-opacity', (0.3 + 0.7 * count / max).toFixed(2));
+                    rect.classList.add('active');
+                }
+
+                const title = this.el('title');
+                title.textContent = `${day}: ${count} exercise${count === 1 ? '' : 's'}`;
+                rect.appendChild(title);
+                svg.appendChild(rect);
+            }
+        }
+
+        return svg;
+    },
+
+    /**
+     * Build a legend for a set of series
+     * @param {Array} series - [{ label, color }]
+     * @param {string} note - Optional trailing note
+     * @returns {HTMLElement}
+     */
+    legend(series, note = '') {
+        const legend = document.createElement('div');
+        legend.className = 'chart-legend';
+        legend.innerHTML = series.map(s =>
+            `<span><i style="background: ${s.color};"></i>${s.label}</span>`
+        ).join('') + (note ? `<span>${note}</span>` : '');
+        return legend;
+    }
+};
@@ -0,0 +1,280 @@
+/**
+ * CogniTrain - Data Transfer Module
+ * Exports the complete history to JSON or CSV files and imports JSON exports back
+ */
+
+const DataTransfer = {
+    FORMAT: 'cognitrain-export',
+
+    // Version of the export file layout (separate from Storage.SCHEMA_VERSION)
+    VERSION: 1,
+
+    // Difficulties a score can be saved with
+    DIFFICULTIES: ['easy', 'medium', 'hard', 'adaptive'],
+
+    // Calendar day as stored with scores
+    DAY_PATTERN: /^\d{4}-\d{2}-\d{2}$/,
+
+    // Checks for imported settings; a setting that fails one keeps its current value
+    SETTING_CHECKS: {
+        defaultDifficulty: value => DataTransfer.isRecord(value) && Object.entries(value).every(([game, difficulty]) =>
+            GameCatalog.has(game) && DataTransfer.DIFFICULTIES.includes(difficulty)),
+        sessionLength: value => Number.isInteger(value) && value >= 2 && value <= 6,
+        dailyGoal: value => Number.isInteger(value) && value >= 1 && value <= 20,
+        sound: value => typeof value === 'boolean',
+        reducedMotion: value => typeof value === 'boolean',
+        highContrast: value => typeof value === 'boolean',
+        dayRolloverHour: value => Number.isInteger(value) && value >= 0 && value <= 23,
+        restDays: value => Array.isArray(value) && value.every(day => Number.isInteger(day) && day >= 0 && day <= 6),
+        stroopKeys: value => DataTransfer.isRecord(value) && Object.entries(value).every(([color, key]) =>
+            color in Storage.DEFAULT_SETTINGS.stroopKeys && /^[a-z0-9]$/.test(key))
+    },
+
+    // Columns of the flattened CSV, one row per trial
+    CSV_COLUMNS: [
+        'game', 'date', 'timestamp', 'difficulty', 'score',
+        'trial', 'stimulus', 'congruent', 'response', 'correct', 'rt'
+    ],
+
+    /**
+     * Build the JSON export object
+     * @returns {Object} Versioned export of all data
+     */
+    buildExport() {
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            schemaVersion: Storage.SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            ...Storage.exportData()
+        };
+    },
+
+    /**
+     * Build the flattened CSV export. Scores without a trial log get a single row.
+     * @returns {string} CSV text
+     */
+    buildCSV() {
+        const rows = [this.CSV_COLUMNS.join(',')];
+        const allScores = Storage.getAllScores();
+
+        for (const game in allScores) {
+            for (const entry of allScores[game]) {
+                const base = [game, entry.date, entry.timestamp, entry.difficulty, entry.score];
+                const trials = entry.session?.trials || [];
+
+                if (trials.length === 0) {
+                    rows.push(this.toCSVRow([...base, '', '', '', '', '', '']));
+                    continue;
+                }
+
+                for (const trial of trials) {
+                    rows.push(this.toCSVRow([
+                        ...base,
+                        trial.trial,
+                        trial.stimulus,
+                        trial.congruent,
+                        trial.response,
+                        trial.correct,
+                        trial.rt
+                    ]));
+                }
+            }
+        }
+
+        return rows.join('\n');
+    },
+
+    /**
+     * Format values as one CSV row, quoting where needed
+     * @param {Array} values - Cell values (objects are written as JSON)
+     * @returns {string} CSV row
+     */
+    toCSVRow(values) {
+        return values.map(value => {
+            if (value === undefined || value === null) return '';
+
+            let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            if (/[",\n]/.test(text)) {
+                text = `"${text.replace(/"/g, '""')}"`;
+            }
+            return text;
+        }).join(',');
+    },
+
+    /**
+     * Trigger a file download in the browser
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File contents
+     * @param {string} type - MIME type
+     */
+    download(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    /**
+     * Download all data as JSON
+     */
+    exportJSON() {
+        const json = JSON.stringify(this.buildExport(), null, 2);
+        this.download(`cognitrain-${Storage.getDateString()}.json`, json, 'application/json');
+    },
+
+    /**
+     * Download all data as CSV
+     */
+    exportCSV() {
+        this.download(`cognitrain-${Storage.getDateString()}.csv`, this.buildCSV(), 'text/csv');
+    },
+
+    /**
+     * Check that parsed data is a usable export and drop malformed entries
+     * @param {Object} data - Parsed JSON
+     * @returns {Object} { scores, streak, settings, skipped }
+     * @throws {Error} If the file isn't a CogniTrain export this version can read
+     */
+    validate(data) {
+        if (!data || data.format !== this.FORMAT) {
+            throw new Error('This file is not a CogniTrain export.');
+        }
+        if (typeof data.version !== 'number' || data.version > this.VERSION) {
+            throw new Error('This export was made by a newer version of CogniTrain.');
+        }
+        if (!data.scores || typeof data.scores !== 'object' || Array.isArray(data.scores)) {
+            throw new Error('The export has no score history.');
+        }
+
+        // Games are the ones in the catalog; anything else is skipped
+        const games = GameCatalog.ids();
+        const scores = {};
+        let skipped = 0;
+
+        for (const game in data.scores) {
+            if (!Array.isArray(data.scores[game])) {
+                throw new Error(`Scores for "${game}" are not a list.`);
+            }
+            if (!games.includes(game)) {
+                skipped += data.scores[game].length;
+                continue;
+            }
+
+            scores[game] = data.scores[game].filter(entry => {
+                const valid = this.isRecord(entry) &&
+                    Number.isFinite(entry.score) &&
+                    this.isTimestamp(entry.timestamp) &&
+                    this.DIFFICULTIES.includes(entry.difficulty) &&
+                    this.isDay(entry.date) &&
+                    (entry.session === undefined || this.isSession(entry.session));
+                if (!valid) skipped++;
+                return valid;
+            });
+        }
+
+        const streak = this.isStreak(data.streak) ? data.streak : null;
+        const settings = this.isRecord(data.settings) ? this.validateSettings(data.settings) : null;
+
+        return { scores, streak, settings, skipped };
+    },
+
+    /**
+     * Keep the imported settings that pass their check
+     * @param {Object} settings - Settings from the export
+     * @returns {Object} Valid settings (unknown names are dropped)
+     */
+    validateSettings(settings) {
+        const valid = {};
+        for (const name in this.SETTING_CHECKS) {
+            if (name in settings && this.SETTING_CHECKS[name](settings[name])) {
+                valid[name] = settings[name];
+            }
+        }
+        return valid;
+    },
+
+    /**
+     * Check an imported streak has the shape Storage keeps
+     * @param {*} streak - Streak from the export
+     * @returns {boolean}
+     */
+    isStreak(streak) {
+        const isCount = value => Number.isInteger(value) && value >= 0;
+        const isOptionalDay = value => value == null || this.isDay(value);
+
+        return this.isRecord(streak) &&
+            isCount(streak.count) &&
+            // A running streak is counted on from its last day
+            (streak.count > 0 ? this.isDay(streak.lastDate) : isOptionalDay(streak.lastDate)) &&
+            isOptionalDay(streak.start) &&
+            isOptionalDay(streak.checkedThrough) &&
+            (streak.longest === undefined || isCount(streak.longest)) &&
+            (streak.freezes === undefined || isCount(streak.freezes)) &&
+            (streak.frozen === undefined || (Array.isArray(streak.frozen) && streak.frozen.every(day => this.isDay(day)))) &&
+            (streak.runs === undefined || (Array.isArray(streak.runs) && streak.runs.every(run =>
+                this.isRecord(run) && this.isDay(run.start) && this.isDay(run.end) && Number.isFinite(run.length))));
+    },
+
+    /**
+     * Check an imported session has the shape games save: a plain object whose
+     * trial log, if any, is a list of plain objects
+     * @param {*} session - Session from a score entry
+     * @returns {boolean}
+     */
+    isSession(session) {
+        return this.isRecord(session) &&
+            (session.trials === undefined || (Array.isArray(session.trials) && session.trials.every(trial => this.isRecord(trial))));
+    },
+
+    /**
+     * Check for a timestamp a Date can hold
+     * @param {*} value
+     * @returns {boolean}
+     */
+    isTimestamp(value) {
+        return Number.isFinite(value) && !Number.isNaN(new Date(value).getTime());
+    },
+
+    /**
+     * Check for a calendar day string
+     * @param {*} value
+     * @returns {boolean}
+     */
+    isDay(value) {
+        return typeof value === 'string' && this.DAY_PATTERN.test(value);
+    },
+
+    /**
+     * Check for a plain object (not null or an array)
+     * @param {*} value
+     * @returns {boolean}
+     */
+    isRecord(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    },
+
+    /**
+     * Read, validate and merge an exported JSON file
+     * @param {File} file - File chosen by the user
+     * @returns {Promise<Object>} { added, duplicates, skipped }
+     */
+    async importFile(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch {
+            throw new Error('The file could not be read as JSON.');
+        }
+
+        const valid = this.validate(data);
+        const total = Object.values(valid.scores).reduce((sum, list) => sum + list.length, 0);
+        const added = Storage.importData(valid);
+
+        return { added, duplicates: total - added, skipped: valid.skipped };
+    }
+};
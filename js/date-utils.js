@@ -0,0 +1,84 @@
+/**
+ * CogniTrain - Date Utilities
+ * Calendar-day handling in the user's local time zone. Days are keyed as
+ * 'YYYY-MM-DD' strings; a configurable rollover hour lets late-night sessions
+ * count for the day they started in (e.g. 3 means a day runs 03:00 to 03:00).
+ */
+
+const DateUtils = {
+    // Hour at which a new day starts (0-23)
+    rolloverHour: 0,
+
+    /**
+     * Set the day rollover hour
+     * @param {number} hour - 0 to 23; anything else resets to midnight
+     */
+    setRolloverHour(hour) {
+        this.rolloverHour = Number.isInteger(hour) && hour >= 0 && hour < 24 ? hour : 0;
+    },
+
+    /**
+     * Get the day key a moment belongs to
+     * @param {Date|number} date - Date or timestamp (defaults to now)
+     * @returns {string} 'YYYY-MM-DD' in local time
+     */
+    dayKey(date = new Date()) {
+        const d = new Date(date);
+        // setHours keeps this correct across DST changes, unlike subtracting milliseconds
+        d.setHours(d.getHours() - this.rolloverHour);
+        return this.format(d);
+    },
+
+    /**
+     * Format a Date's local calendar day
+     * @param {Date} date - Date object
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    format(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    },
+
+    /**
+     * Turn a day key into a local Date at midnight
+     * @param {string} key - 'YYYY-MM-DD'
+     * @returns {Date}
+     */
+    parse(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+
+    /**
+     * Move a day key by whole calendar days
+     * @param {string} key - 'YYYY-MM-DD'
+     * @param {number} days - Days to add (negative to go back)
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    addDays(key, days) {
+        const date = this.parse(key);
+        date.setDate(date.getDate() + days);
+        return this.format(date);
+    },
+
+    /**
+     * Count calendar days from one day key to another
+     * @param {string} from - 'YYYY-MM-DD'
+     * @param {string} to - 'YYYY-MM-DD'
+     * @returns {number} Days (negative if to is earlier)
+     */
+    daysBetween(from, to) {
+        // Rounding absorbs the 23 or 25 hour days around DST changes
+        return Math.round((this.parse(to) - this.parse(from)) / 86400000);
+    },
+
+    /**
+     * Day of the week for a day key
+     * @param {string} key - 'YYYY-MM-DD'
+     * @returns {number} 0 (Sunday) to 6 (Saturday)
+     */
+    weekday(key) {
+        return this.parse(key).getDay();
+    }
+};
@@ -0,0 +1,144 @@
+/**
+ * CogniTrain - Domain Scoring Module
+ * Turns raw game scores into a 0-100 index per cognitive domain.
+ *
+ * Each score is placed within a band set by the difficulty it was played at
+ * (easy 0-60, medium 20-80, hard 40-100; adaptive slides with its level), at
+ * the percentile it reaches among that game's own scores at the same difficulty.
+ * A game's index is the mean over its most recent sessions, and a domain's
+ * index is the weighted mean of its games. Processing speed comes from
+ * correct-trial reaction times in the trial logs instead.
+ */
+
+const Domains = {
+    // Domains; the games feeding each, and their weights, are in GameCatalog.
+    // Reaction-time domains read trial logs
+    DOMAINS: {
+        memory: { label: 'Memory' },
+        attention: { label: 'Attention' },
+        speed: { label: 'Processing Speed', reactionTime: true },
+        reasoning: { label: 'Reasoning' },
+        executive: { label: 'Executive Function' }
+    },
+
+    // Position of each fixed difficulty on the 0-1 band scale
+    DIFFICULTY_LEVELS: { easy: 0, medium: 0.5, hard: 1 },
+
+    // How many recent sessions make up a game's index
+    RECENT: 10,
+
+    /**
+     * Band level for a score entry
+     * @param {Object} entry - Score entry
+     * @returns {number} 0 (easy) to 1 (hard)
+     */
+    bandLevel(entry) {
+        if (entry.difficulty === 'adaptive') {
+            return entry.session?.adaptiveLevel ?? 0.5;
+        }
+        return this.DIFFICULTY_LEVELS[entry.difficulty] ?? 0;
+    },
+
+    /**
+     * Percentile of a value within a list (mid-rank, so ties count half)
+     * @param {number} value - Value to rank
+     * @param {Array} values - Distribution, including value
+     * @returns {number} 0 to 1
+     */
+    percentile(value, values) {
+        if (values.length < 2) return 0.5;
+
+        const below = values.filter(v => v < value).length;
+        const equal = values.filter(v => v === value).length;
+        return (below + (equal - 1) / 2) / (values.length - 1);
+    },
+
+    /**
+     * Compute a game's 0-100 index from its score history
+     * @param {string} game - Game identifier
+     * @returns {number|null} Index, or null if never played
+     */
+    gameIndex(game) {
+        const scores = Storage.getScores(game);
+        if (scores.length === 0) return null;
+
+        const byDifficulty = {};
+        for (const entry of scores) {
+            if (!byDifficulty[entry.difficulty]) byDifficulty[entry.difficulty] = [];
+            byDifficulty[entry.difficulty].push(entry.score);
+        }
+
+        const recent = scores.slice(-this.RECENT).map(entry => {
+            const lower = this.bandLevel(entry) * 40;
+            const p = this.percentile(entry.score, byDifficulty[entry.difficulty]);
+            return lower + p * 60;
+        });
+
+        return recent.reduce((a, b) => a + b, 0) / recent.length;
+    },
+
+    /**
+     * Compute a processing speed index from a game's trial logs
+     * @param {string} game - Game identifier (must have rtNorms in GameCatalog)
+     * @returns {number|null} Index, or null if no timed trials
+     */
+    speedIndex(game) {
+        const { fast, slow } = GameCatalog.GAMES[game].rtNorms;
+        const rts = Storage.getSessions(game)
+            .slice(-this.RECENT)
+            .flatMap(s => s.session.trials || [])
+            .filter(t => t.correct && Number.isFinite(t.rt))
+            .map(t => t.rt)
+            .sort((a, b) => a - b);
+
+        if (rts.length === 0) return null;
+
+        const median = rts[Math.floor(rts.length / 2)];
+        return Math.min(100, Math.max(0, (slow - median) / (slow - fast) * 100));
+    },
+
+    /**
+     * Weighted mean of the non-null entries
+     * @param {Array} parts - [{ value, weight }]
+     * @returns {number|null}
+     */
+    weightedMean(parts) {
+        const known = parts.filter(p => p.value !== null);
+        if (known.length === 0) return null;
+
+        const total = known.reduce((sum, p) => sum + p.weight, 0);
+        return known.reduce((sum, p) => sum + p.value * p.weight, 0) / total;
+    },
+
+    /**
+     * Compute every domain index
+     * @returns {Object} { domain: { label, score (0-100 or null) } }
+     */
+    compute() {
+        const result = {};
+
+        for (const domain in this.DOMAINS) {
+            const { label, reactionTime } = this.DOMAINS[domain];
+            const games = GameCatalog.inDomain(domain);
+            const parts = Object.keys(games).map(game => ({
+                value: reactionTime ? this.speedIndex(game) : this.gameIndex(game),
+                weight: games[game]
+            }));
+
+            const score = this.weightedMean(parts);
+            result[domain] = { label, score: score === null ? null : Math.round(score) };
+        }
+
+        return result;
+    },
+
+    /**
+     * Find the lowest-scoring domain; domains with no data count as lowest
+     * @returns {string} Domain key
+     */
+    weakest() {
+        const profile = this.compute();
+        return Object.keys(profile)
+            .sort((a, b) => (profile[a].score ?? -1) - (profile[b].score ?? -1))[0];
+    }
+};
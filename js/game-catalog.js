@@ -0,0 +1,84 @@
+/**
+ * CogniTrain - Game Catalog
+ * The one list of games. A new game is added here and registered with
+ * GameEngine.register under the same id; storage defaults, domain scoring,
+ * training sessions and the progress and settings pages all read this list.
+ */
+
+const GameCatalog = {
+    // Games in menu order: display name, the page each lives on and the
+    // domains its results count towards, with weights. Timed games give the
+    // median correct reaction time (ms) that maps to 100 and to 0 on the speed index.
+    GAMES: {
+        'memory-match': { name: 'Memory Match', page: 'memory.html', domains: { memory: 1 } },
+        'sequence-recall': { name: 'Sequence Recall', page: 'memory.html', domains: { memory: 1 } },
+        'n-back': { name: 'N-Back', page: 'memory.html', domains: { memory: 1 } },
+        'stroop-test': {
+            name: 'Stroop Test',
+            page: 'attention.html',
+            domains: { attention: 1, speed: 1 },
+            rtNorms: { fast: 500, slow: 1500 }
+        },
+        'flanker-task': {
+            name: 'Flanker Task',
+            page: 'attention.html',
+            domains: { attention: 1, speed: 1 },
+            rtNorms: { fast: 350, slow: 1000 }
+        },
+        'pattern-puzzle': { name: 'Pattern Puzzle', page: 'problem-solving.html', domains: { reasoning: 1 } },
+        'task-switching': { name: 'Task Switching', page: 'executive-function.html', domains: { executive: 1 } },
+        'symbol-digit': {
+            name: 'Symbol Digit',
+            page: 'processing-speed.html',
+            domains: { speed: 2 },
+            rtNorms: { fast: 700, slow: 2500 }
+        },
+        'reaction-time': {
+            name: 'Reaction Time',
+            page: 'processing-speed.html',
+            domains: { speed: 2 },
+            rtNorms: { fast: 250, slow: 800 }
+        }
+    },
+
+    /**
+     * Get every game id, in menu order
+     * @returns {Array} Game identifiers
+     */
+    ids() {
+        return Object.keys(this.GAMES);
+    },
+
+    /**
+     * Check whether a game is in the catalog
+     * @param {string} game - Game identifier
+     * @returns {boolean}
+     */
+    has(game) {
+        return Object.hasOwn(this.GAMES, game);
+    },
+
+    /**
+     * Get a game's display name
+     * @param {string} game - Game identifier
+     * @returns {string} Name, or the id for a game not in the catalog
+     */
+    name(game) {
+        return this.has(game) ? this.GAMES[game].name : game;
+    },
+
+    /**
+     * Get the games counting towards a domain
+     * @param {string} domain - Domain key
+     * @returns {Object} { game: weight }
+     */
+    inDomain(domain) {
+        const games = {};
+        for (const game in this.GAMES) {
+            if (this.GAMES[game].domains[domain]) {
+                games[game] = this.GAMES[game].domains[domain];
+            }
+        }
+        return games;
+    }
+};
@@ -0,0 +1,392 @@
+/**
+ * CogniTrain - Game Engine Module
+ * The lifecycle every game shares, and the registry games are added through.
+ *
+ * A game is registered as a definition object with an id (listed in
+ * GameCatalog, whose name, page and domains it takes on), its element prefix,
+ * the option rows it reads and these hooks:
+ *   reset()    - set up game state for a new game
+ *   play()     - show the first trial
+ *   updateUI() - refresh the stats in the game header
+ *   endGame()  - work out the result and hand it to finish()
+ * and optionally onTick(), onPause() and onResume(pausedFor).
+ *
+ * The engine reads the options, seeds the trial stream, hides and restores the
+ * option rows, runs the clock and the trial timeouts (both stop while paused),
+ * scales scores by difficulty, saves the session and fills in the result
+ * message. Elements are found by prefix: `<prefix>-difficulty`, `-start`,
+ * `-message`, `-final-score`, `-stats` and, if present, `-result-title`.
+ */
+
+const GameEngine = {
+    // Games registered on this page, by id
+    games: {},
+
+    // Game being played, if any
+    active: null,
+
+    /**
+     * Register a game
+     * @param {Object} definition - { id, prefix, options, optionRows, multipliers, config, ...hooks and state }
+     * @returns {Object} The game, with the engine's methods and its catalog entry available on it
+     */
+    register(definition) {
+        const game = Object.assign(Object.create(this.base), { trials: [], tasks: [] },
+            GameCatalog.GAMES[definition.id], definition);
+        this.games[game.id] = game;
+        return game;
+    },
+
+    /**
+     * Switch from the game list to a game
+     * @param {string} gameId - Game identifier
+     */
+    show(gameId) {
+        document.getElementById('game-selection').style.display = 'none';
+        document.getElementById(gameId + '-game').style.display = 'flex';
+    },
+
+    /**
+     * Wire up a game page: option buttons, opening a game from the URL, and
+     * pausing when the page is hidden
+     */
+    initPage() {
+        document.querySelectorAll('.difficulty-selector').forEach(selector => {
+            selector.querySelectorAll('.diff-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    selector.querySelectorAll('.diff-btn').forEach(b => b.classList.remove('active'));
+                    btn.classList.add('active');
+                });
+            });
+        });
+
+        // Open a game directly, e.g. when launched from a training session or a replay link
+        const params = new URLSearchParams(window.location.search);
+        const requestedGame = params.get('game');
+        const game = Object.hasOwn(this.games, requestedGame) ? this.games[requestedGame] : null;
+        if (game) {
+            this.show(game.id);
+
+            // A replay reuses the session's seed and, once settings have been applied, its options
+            if (params.has('seed')) {
+                Random.queue(params.get('seed'));
+                Storage.ready.then(() => Settings.applyOptions(game.id, params));
+            }
+        }
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && this.active) this.active.pause();
+        });
+    },
+
+    // Methods every registered game inherits; `this` is the game
+    base: {
+        // Option rows read at the start of each game, with their defaults
+        options: {},
+
+        // Score multiplier per difficulty
+        multipliers: { easy: 1, medium: 1.5, hard: 2 },
+
+        // Game state the engine manages
+        difficulty: 'easy',
+        isPlaying: false,
+        isPaused: false,
+        startedAt: null,
+        seed: null,
+        seconds: 0,
+        timeLeft: null,
+        clock: null,
+        pausedAt: null,
+        keyHandler: null,
+
+        /**
+         * Get one of the game's elements
+         * @param {string} name - Element id without the prefix, e.g. 'message'
+         * @returns {HTMLElement|null}
+         */
+        el(name) {
+            return document.getElementById(`${this.prefix}-${name}`);
+        },
+
+        /**
+         * Start a new game
+         */
+        start() {
+            this.stop();
+            this.readOptions();
+
+            this.trials = [];
+            this.startedAt = Date.now();
+            this.seed = Random.begin(this.id);
+            this.isPlaying = true;
+            GameEngine.active = this;
+
+            this.el('message').style.display = 'none';
+            this.el('start').style.display = 'none';
+            this.showOptions(false);
+            this.getPauseButton().style.display = 'inline-block';
+
+            this.reset();
+            this.updateUI();
+            this.play();
+        },
+
+        /**
+         * Read the difficulty and option rows into the game
+         */
+        readOptions() {
+            const activeBtn = document.querySelector(`#${this.prefix}-difficulty .diff-btn.active`);
+            this.difficulty = activeBtn ? activeBtn.dataset.diff : 'easy';
+
+            Object.entries(this.options).forEach(([name, fallback]) => {
+                const btn = document.querySelector(`#${this.prefix}-${name} .diff-btn.active`);
+                this[name] = btn ? btn.dataset[name] : fallback;
+            });
+        },
+
+        /**
+         * Show or hide the option rows
+         * @param {boolean} visible
+         */
+        showOptions(visible) {
+            const rows = this.optionRows || ['difficulty', ...Object.keys(this.options), 'seed'];
+            rows.forEach(row => {
+                const rowEl = this.el(row);
+                if (rowEl) rowEl.style.display = visible ? '' : 'none';
+            });
+        },
+
+        /**
+         * Get the config for the selected difficulty (tuned live in adaptive mode)
+         */
+        getConfig() {
+            return Adaptive.resolve(this.id, this.config, this.difficulty);
+        },
+
+        /**
+         * Get difficulty multiplier
+         */
+        getDifficultyMultiplier() {
+            return Adaptive.resolve(this.id, this.multipliers, this.difficulty);
+        },
+
+        /**
+         * Count a trial towards the adaptive staircase, if it is on
+         * @param {boolean} isCorrect - Whether the trial was passed
+         */
+        recordAdaptive(isCorrect) {
+            if (Adaptive.isActive(this.difficulty)) {
+                Adaptive.record(this.id, isCorrect);
+            }
+        },
+
+        /**
+         * Listen for keys while the game is running and not paused
+         * @param {Function} handler - Called with the keydown event
+         */
+        onKey(handler) {
+            this.keyHandler = (e) => {
+                if (this.isPlaying && !this.isPaused) handler(e);
+            };
+            document.addEventListener('keydown', this.keyHandler);
+        },
+
+        /**
+         * Start the game clock, counting up `seconds` and, with a limit, down
+         * `timeLeft`; the game ends when the time is up
+         * @param {number} [limit] - Time limit in seconds
+         */
+        startClock(limit = null) {
+            clearInterval(this.clock);
+            this.seconds = 0;
+            this.timeLeft = limit;
+            this.clock = setInterval(() => this.tick(), 1000);
+        },
+
+        /**
+         * Advance the clock by a second
+         */
+        tick() {
+            this.seconds++;
+            if (this.timeLeft !== null) this.timeLeft--;
+            this.onTick();
+
+            if (this.timeLeft !== null && this.timeLeft <= 0) {
+                this.endGame();
+            }
+        },
+
+        /**
+         * Called every second of the clock
+         */
+        onTick() {
+            this.updateUI();
+        },
+
+        /**
+         * Run a step of the trial loop after a delay; steps wait while the game is
+         * paused and are dropped when it ends
+         * @param {Function} callback - Step to run
+         * @param {number} delay - Delay in ms
+         * @returns {Object} Task handle for cancel()
+         */
+        schedule(callback, delay) {
+            const task = { callback: callback, due: Date.now() + delay, handle: null };
+            this.tasks.push(task);
+            if (!this.isPaused) this.runTask(task, delay);
+            return task;
+        },
+
+        /**
+         * Set the timeout for a scheduled step
+         * @param {Object} task - Task from schedule()
+         * @param {number} delay - Delay in ms
+         */
+        runTask(task, delay) {
+            task.handle = setTimeout(() => {
+                this.tasks = this.tasks.filter(t => t !== task);
+                task.callback();
+            }, delay);
+        },
+
+        /**
+         * Drop a scheduled step
+         * @param {Object} task - Task from schedule()
+         */
+        cancel(task) {
+            if (!task) return;
+            clearTimeout(task.handle);
+            this.tasks = this.tasks.filter(t => t !== task);
+        },
+
+        /**
+         * Pause the clock and the trial loop, hiding the board
+         */
+        pause() {
+            if (!this.isPlaying || this.isPaused) return;
+
+            this.isPaused = true;
+            this.pausedAt = Date.now();
+            if (this.clock) {
+                clearInterval(this.clock);
+                this.clock = 'paused';
+            }
+            this.tasks.forEach(task => clearTimeout(task.handle));
+
+            document.getElementById(`${this.id}-game`).classList.add('paused');
+            this.getPauseButton().textContent = 'Resume';
+            this.onPause();
+        },
+
+        /**
+         * Carry on from a pause; scheduled steps keep the time they had left
+         */
+        resume() {
+            if (!this.isPaused) return;
+
+            const now = Date.now();
+            const pausedFor = now - this.pausedAt;
+            this.isPaused = false;
+            this.pausedAt = null;
+            if (this.clock === 'paused') {
+                this.clock = setInterval(() => this.tick(), 1000);
+            }
+            this.tasks.forEach(task => {
+                task.due += pausedFor;
+                this.runTask(task, task.due - now);
+            });
+
+            document.getElementById(`${this.id}-game`).classList.remove('paused');
+            this.getPauseButton().textContent = 'Pause';
+            this.onResume(pausedFor);
+        },
+
+        /**
+         * Called on pause
+         */
+        onPause() {},
+
+        /**
+         * Called on resume, e.g. to take the pause out of a response time
+         * @param {number} pausedFor - Length of the pause in ms
+         */
+        onResume(pausedFor) {},
+
+        /**
+         * Get the pause button, adding it under the game header the first time
+         * @returns {HTMLElement}
+         */
+        getPauseButton() {
+            let btn = this.el('pause');
+            if (!btn) {
+                btn = document.createElement('button');
+                btn.className = 'pause-btn';
+                btn.id = `${this.prefix}-pause`;
+                btn.textContent = 'Pause';
+                btn.style.display = 'none';
+                btn.addEventListener('click', () => this.isPaused ? this.resume() : this.pause());
+                document.querySelector(`#${this.id}-game .game-header`).after(btn);
+            }
+            return btn;
+        },
+
+        /**
+         * Stop the clock, the trial loop and key handling
+         */
+        stop() {
+            this.isPlaying = false;
+            this.isPaused = false;
+            clearInterval(this.clock);
+            this.clock = null;
+            this.tasks.forEach(task => clearTimeout(task.handle));
+            this.tasks = [];
+
+            if (this.keyHandler) {
+                document.removeEventListener('keydown', this.keyHandler);
+                this.keyHandler = null;
+            }
+
+            if (GameEngine.active === this) GameEngine.active = null;
+            document.getElementById(`${this.id}-game`).classList.remove('paused');
+            const pauseBtn = this.el('pause');
+            if (pauseBtn) {
+                pauseBtn.style.display = 'none';
+                pauseBtn.textContent = 'Pause';
+            }
+        },
+
+        /**
+         * End the game: save the session and show the result
+         * @param {Object} result - { score, session (game-specific fields), stats (lines), title }
+         */
+        finish(result) {
+            this.stop();
+
+            Storage.saveScore(this.id, result.score, this.difficulty, {
+                startedAt: this.startedAt,
+                seed: this.seed,
+                ...result.session,
+                ...Adaptive.describe(this.id, this.difficulty),
+                trials: this.trials
+            });
+
+            this.showResult(result);
+        },
+
+        /**
+         * Fill in and show the result message, and bring back the options
+         * @param {Object} result - { score, stats, title }
+         */
+        showResult(result) {
+            const title = this.el('result-title');
+            if (title && result.title) title.textContent = result.title;
+
+            this.el('final-score').textContent = result.score;
+            this.el('stats').textContent = [].concat(result.stats || []).join('\n');
+
+            this.el('message').style.display = 'block';
+            this.el('start').style.display = 'none';
+            this.showOptions(true);
+        }
+    }
+};
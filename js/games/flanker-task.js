@@ -2,14 +2,25 @@
  * Flanker Task Game
  * Identify the direction of the center arrow while ignoring flanking arrows
  * Trains selective attention and inhibitory control
+ *
+ * ANT mode follows the Attention Network Test (Fan et al., 2002): a cue
+ * (none, centre, double or spatial) precedes a target row shown above or
+ * below fixation, and three network scores come from median correct RTs:
+ *   alerting  - no cue minus double cue
+ *   orienting - centre cue minus spatial cue
+ *   executive - incongruent minus congruent flankers
  */
 
-const FlankerTask = {
-    // Configuration per difficulty
+const FlankerTask = GameEngine.register({
+    id: 'flanker-task',
+    prefix: 'ft',
+
+    // Configuration per difficulty; congruent is the share of congruent trials
+    // among those with arrow flankers, and displayTime is the response deadline
     config: {
-        easy: { time: 45, congruent: 0.7, displayTime: 2000 },      // 70% congruent, slower
-        medium: { time: 30, congruent: 0.5, displayTime: 1500 },    // 50% congruent
-        hard: { time: 20, congruent: 0.3, displayTime: 1000 }       // 30% congruent, faster
+        easy: { time: 45, congruent: 0.7, neutral: 0.2, displayTime: 2000 },      // 70% congruent, slower
+        medium: { time: 30, congruent: 0.5, neutral: 0.2, displayTime: 1500 },    // 50% congruent
+        hard: { time: 20, congruent: 0.3, neutral: 0.2, displayTime: 1000 }       // 30% congruent, faster
     },
 
     // Arrow directions
@@ -18,67 +29,86 @@ const FlankerTask = {
         right: '→'
     },
 
+    // Flanker that points nowhere, for neutral trials
+    NEUTRAL_FLANKER: '—',
+
+    // Rounds in a standard game
+    STANDARD_ROUNDS: 25,
+
+    // ANT trial design: every cue, flanker condition and position, ANT_REPEATS times
+    ANT_CUES: ['none', 'center', 'double', 'spatial'],
+    ANT_CONDITIONS: ['congruent', 'incongruent', 'neutral'],
+    ANT_POSITIONS: ['above', 'below'],
+    ANT_REPEATS: 2,
+
+    // ANT timings (ms): fixation before the cue, cue, and cue to target
+    ANT_TIMING: { fixation: 400, cue: 100, gap: 400 },
+
+    // Cue marker
+    CUE: '*',
+
+    // Option rows and their defaults
+    options: { mode: 'standard' },
+
+    // Score multiplier per difficulty
+    multipliers: { easy: 1, medium: 1.5, hard: 2.5 },
+
     // Game state
+    antPlan: [],
     currentDirection: null,
     correct: 0,
     incorrect: 0,
+    omissions: 0,
     round: 0,
     totalRounds: 25,
-    timer: null,
-    timeLeft: 30,
-    difficulty: 'easy',
-    isPlaying: false,
+    responseTimer: null,
     canAnswer: false,
     reactionTimes: [],
     stimulusShownAt: null,
+    currentTrial: null,
 
     /**
-     * Start a new game
+     * Reset state for a new game
      */
-    start() {
-        // Get difficulty
-        const activeBtn = document.querySelector('#flanker-task-game .diff-btn.active');
-        this.difficulty = activeBtn ? activeBtn.dataset.diff : 'easy';
+    reset() {
+        // ANT mode runs a fixed, shuffled set of trials with no time limit
+        this.antPlan = this.mode === 'ant' ? this.buildANTPlan() : [];
+        this.totalRounds = this.mode === 'ant' ? this.antPlan.length : this.STANDARD_ROUNDS;
 
-        // Reset state
         this.correct = 0;
         this.incorrect = 0;
+        this.omissions = 0;
         this.round = 0;
-        this.timeLeft = this.config[this.difficulty].time;
-        this.isPlaying = true;
+        this.timeLeft = this.getConfig().time;
         this.canAnswer = false;
         this.reactionTimes = [];
-
-        // Clear timer
-        if (this.timer) clearInterval(this.timer);
-
-        // Hide elements
-        document.getElementById('ft-message').style.display = 'none';
-        document.getElementById('ft-start').style.display = 'none';
-        document.getElementById('ft-difficulty').style.display = 'none';
+        this.currentTrial = null;
+        this.responseTimer = null;
 
         // Show game elements
         document.getElementById('ft-display').style.visibility = 'visible';
         document.getElementById('ft-options').style.display = 'flex';
 
-        // Setup buttons
         this.setupButtons();
+    },
 
-        // Update UI
-        this.updateUI();
-
-        // Start first round after brief delay
-        setTimeout(() => this.nextChallenge(), 500);
+    /**
+     * Start the first round after a brief delay, and the clock outside ANT mode
+     */
+    play() {
+        this.schedule(() => this.nextChallenge(), 500);
 
-        // Start timer
-        this.timer = setInterval(() => {
-            this.timeLeft--;
-            document.getElementById('ft-time').textContent = this.timeLeft;
+        if (this.mode !== 'ant') {
+            this.startClock(this.getConfig().time);
+        }
+    },
 
-            if (this.timeLeft <= 0) {
-                this.endGame();
-            }
-        }, 1000);
+    /**
+     * Take the pause out of the response time
+     * @param {number} pausedFor - Length of the pause in ms
+     */
+    onResume(pausedFor) {
+        this.stimulusShownAt += pausedFor;
     },
 
     /**
@@ -99,13 +129,11 @@ const FlankerTask = {
         newRightBtn.addEventListener('click', () => this.handleAnswer('right'));
 
         // Keyboard support
-        this.keyHandler = (e) => {
-            if (!this.isPlaying || !this.canAnswer) return;
+        this.onKey((e) => {
+            if (!this.canAnswer) return;
             if (e.key === 'ArrowLeft') this.handleAnswer('left');
             if (e.key === 'ArrowRight') this.handleAnswer('right');
-        };
-        document.removeEventListener('keydown', this.keyHandler);
-        document.addEventListener('keydown', this.keyHandler);
+        });
     },
 
     /**
@@ -121,7 +149,13 @@ const FlankerTask = {
         }
 
         this.canAnswer = false;
-        const config = this.config[this.difficulty];
+
+        if (this.mode === 'ant') {
+            this.nextANTTrial();
+            return;
+        }
+
+        const config = this.getConfig();
         const display = document.getElementById('ft-display');
 
         // Show fixation cross
@@ -129,85 +163,253 @@ const FlankerTask = {
         display.className = 'flanker-display fixation';
 
         // After brief fixation, show arrows
-        setTimeout(() => {
-            if (!this.isPlaying) return;
-
-            // Decide if congruent or incongruent
-            const isCongruent = Math.random() < config.congruent;
+        this.schedule(() => {
+            // Decide if neutral, congruent or incongruent
+            const condition = Random.next() < config.neutral
+                ? 'neutral'
+                : Random.next() < config.congruent ? 'congruent' : 'incongruent';
 
             // Pick center arrow direction
-            const centerDirection = Math.random() < 0.5 ? 'left' : 'right';
-            this.currentDirection = centerDirection;
+            const centerDirection = Random.next() < 0.5 ? 'left' : 'right';
+            const arrowString = this.buildStimulus(centerDirection, condition);
+
+            display.textContent = arrowString;
+            display.className = 'flanker-display arrows';
+
+            this.showTarget(centerDirection, condition, arrowString, {});
+        }, 500);
+    },
 
-            // Build flanker string
-            const centerArrow = this.arrows[centerDirection];
-            let flankerArrow;
+    /**
+     * Build the five-symbol row: flanker flanker CENTER flanker flanker
+     * @param {string} direction - 'left' or 'right'
+     * @param {string} condition - 'congruent', 'incongruent' or 'neutral'
+     * @returns {string} Stimulus text
+     */
+    buildStimulus(direction, condition) {
+        const centerArrow = this.arrows[direction];
+        let flankerArrow;
+
+        if (condition === 'neutral') {
+            flankerArrow = this.NEUTRAL_FLANKER;
+        } else if (condition === 'congruent') {
+            flankerArrow = centerArrow;
+        } else {
+            flankerArrow = direction === 'left' ? this.arrows.right : this.arrows.left;
+        }
+
+        return `${flankerArrow} ${flankerArrow} ${centerArrow} ${flankerArrow} ${flankerArrow}`;
+    },
+
+    /**
+     * Start timing a target that is on screen
+     * @param {string} direction - Correct answer
+     * @param {string} condition - Flanker condition
+     * @param {string} stimulus - Stimulus text
+     * @param {Object} extra - Extra fields for the trial log (ANT cue and position)
+     */
+    showTarget(direction, condition, stimulus, extra) {
+        this.currentDirection = direction;
+        this.currentTrial = {
+            trial: this.round,
+            stimulus: stimulus,
+            target: direction,
+            congruent: condition === 'neutral' ? null : condition === 'congruent',
+            condition: condition,
+            ...extra
+        };
+
+        this.canAnswer = true;
+        this.stimulusShownAt = Date.now();
+
+        // The arrows disappear after the display time; no answer by then is a miss
+        this.responseTimer = this.schedule(() => this.handleOmission(), this.getConfig().displayTime);
+
+        this.updateUI();
+    },
 
-            if (isCongruent) {
-                flankerArrow = centerArrow;
-            } else {
-                flankerArrow = centerDirection === 'left' ? this.arrows.right : this.arrows.left;
+    /**
+     * Build the shuffled ANT trial list
+     * @returns {Array} [{ cue, condition, position }]
+     */
+    buildANTPlan() {
+        const plan = [];
+        for (let r = 0; r < this.ANT_REPEATS; r++) {
+            for (const cue of this.ANT_CUES) {
+                for (const condition of this.ANT_CONDITIONS) {
+                    for (const position of this.ANT_POSITIONS) {
+                        plan.push({ cue, condition, position });
+                    }
+                }
             }
+        }
 
-            // Create 5-arrow display: flanker flanker CENTER flanker flanker
-            const arrowString = `${flankerArrow} ${flankerArrow} ${centerArrow} ${flankerArrow} ${flankerArrow}`;
+        return Random.shuffle(plan);
+    },
 
-            display.textContent = arrowString;
-            display.className = 'flanker-display arrows';
+    /**
+     * Draw the ANT display: a row above fixation, fixation, and a row below
+     * @param {Object} rows - { above, center, below } text for each row
+     */
+    renderANT(rows) {
+        const display = document.getElementById('ft-display');
+        display.className = 'flanker-display ant';
+        display.innerHTML = ['above', 'center', 'below'].map(row =>
+            `<span class="ant-row${row === 'center' ? ' fixation' : ''}">${rows[row] || ''}</span>`
+        ).join('');
+    },
 
-            this.canAnswer = true;
-            this.stimulusShownAt = Date.now();
+    /**
+     * Run one ANT trial: fixation, cue, fixation, then the target
+     */
+    nextANTTrial() {
+        const { cue, condition, position } = this.antPlan[this.round - 1];
+        const { fixation, cue: cueTime, gap } = this.ANT_TIMING;
+
+        // Where the cue asterisks go (the centre cue replaces the fixation cross)
+        const cueRows = {
+            none: { center: '+' },
+            center: { center: this.CUE },
+            double: { above: this.CUE, center: '+', below: this.CUE },
+            spatial: { [position]: this.CUE, center: '+' }
+        };
 
-            this.updateUI();
-        }, 500);
+        this.renderANT({ center: '+' });
+
+        this.schedule(() => {
+            this.renderANT(cueRows[cue]);
+
+            this.schedule(() => {
+                this.renderANT({ center: '+' });
+
+                this.schedule(() => {
+                    const direction = Random.next() < 0.5 ? 'left' : 'right';
+                    const stimulus = this.buildStimulus(direction, condition);
+                    this.renderANT({ center: '+', [position]: stimulus });
+                    this.showTarget(direction, condition, stimulus, { cue, position });
+                }, gap);
+            }, cueTime);
+        }, fixation);
     },
 
     /**
      * Handle user answer
      */
     handleAnswer(direction) {
-        if (!this.isPlaying || !this.canAnswer) return;
+        if (!this.isPlaying || this.isPaused || !this.canAnswer) return;
 
         this.canAnswer = false;
+        this.cancel(this.responseTimer);
         const reactionTime = Date.now() - this.stimulusShownAt;
         const display = document.getElementById('ft-display');
+        const isCorrect = direction === this.currentDirection;
 
-        if (direction === this.currentDirection) {
+        // Log the trial
+        this.trials.push({
+            ...this.currentTrial,
+            response: direction,
+            correct: isCorrect,
+            rt: reactionTime
+        });
+
+        this.recordAdaptive(isCorrect);
+
+        if (isCorrect) {
             // Correct!
+            Sound.play('correct');
             this.correct++;
             this.reactionTimes.push(reactionTime);
             display.classList.add('correct-flash');
         } else {
             // Incorrect
+            Sound.play('incorrect');
             this.incorrect++;
             display.classList.add('incorrect-flash');
         }
 
         // Remove animation class after animation
-        setTimeout(() => {
+        this.schedule(() => {
             display.classList.remove('correct-flash', 'incorrect-flash');
             // Next challenge
             this.nextChallenge();
         }, 400);
     },
 
+    /**
+     * Count a trial with no answer before the display time ran out
+     */
+    handleOmission() {
+        if (!this.isPlaying || !this.canAnswer) return;
+
+        this.canAnswer = false;
+        const display = document.getElementById('ft-display');
+
+        // Log the trial
+        this.trials.push({
+            ...this.currentTrial,
+            response: null,
+            correct: false,
+            rt: null
+        });
+
+        this.recordAdaptive(false);
+
+        Sound.play('incorrect');
+        this.incorrect++;
+        this.omissions++;
+        display.textContent = '';
+
+        this.schedule(() => this.nextChallenge(), 400);
+    },
+
+    /**
+     * Median correct RT for a set of trials
+     * @param {Function} filter - Picks the trials to include
+     * @returns {number|null} Median in ms, or null without correct trials
+     */
+    medianRT(filter) {
+        const rts = this.trials
+            .filter(t => t.correct && filter(t))
+            .map(t => t.rt)
+            .sort((a, b) => a - b);
+
+        if (rts.length === 0) return null;
+
+        const mid = Math.floor(rts.length / 2);
+        return Math.round(rts.length % 2 ? rts[mid] : (rts[mid - 1] + rts[mid]) / 2);
+    },
+
+    /**
+     * Compute the ANT network scores
+     * @returns {Object} { alerting, orienting, executive } in ms (null when a condition has no correct trials)
+     */
+    networkScores() {
+        const byCue = cue => this.medianRT(t => t.cue === cue);
+        const byCondition = condition => this.medianRT(t => t.condition === condition);
+        const difference = (a, b) => a === null || b === null ? null : a - b;
+
+        return {
+            alerting: difference(byCue('none'), byCue('double')),
+            orienting: difference(byCue('center'), byCue('spatial')),
+            executive: difference(byCondition('incongruent'), byCondition('congruent'))
+        };
+    },
+
     /**
      * Update UI
      */
     updateUI() {
         document.getElementById('ft-correct').textContent = this.correct;
         document.getElementById('ft-round').textContent = `${this.round}/${this.totalRounds}`;
-        document.getElementById('ft-time').textContent = this.timeLeft;
+        document.getElementById('ft-time').textContent = this.mode === 'ant' ? '–' : this.timeLeft;
     },
 
     /**
      * End the game
      */
     endGame() {
-        this.isPlaying = false;
+        Sound.play('complete');
         this.canAnswer = false;
-        clearInterval(this.timer);
-        document.removeEventListener('keydown', this.keyHandler);
 
         // Calculate score
         const baseScore = this.correct * 50;
@@ -221,25 +423,46 @@ const FlankerTask = {
             rtBonus = Math.max(0, Math.round((1000 - avgRT) / 5));
         }
 
-        const difficultyMultiplier = { easy: 1, medium: 1.5, hard: 2.5 };
-        const score = Math.round((baseScore + accuracyBonus + rtBonus) * difficultyMultiplier[this.difficulty]);
-
-        // Save score
-        Storage.saveScore('flanker-task', score, this.difficulty);
+        const score = Math.round((baseScore + accuracyBonus + rtBonus) * this.getDifficultyMultiplier());
 
         // Calculate average reaction time for display
         const avgReactionTime = this.reactionTimes.length > 0
             ? Math.round(this.reactionTimes.reduce((a, b) => a + b, 0) / this.reactionTimes.length)
             : 0;
 
-        // Show results
-        document.getElementById('ft-final-score').textContent = score;
-        document.getElementById('ft-stats').textContent =
-            `${this.correct} correct, ${this.incorrect} incorrect (${Math.round(accuracy * 100)}% accuracy)\nAvg reaction time: ${avgReactionTime}ms`;
+        // Conflict effect: how much slower incongruent trials are than congruent ones
+        const medianRTs = {
+            congruent: this.medianRT(t => t.condition === 'congruent'),
+            incongruent: this.medianRT(t => t.condition === 'incongruent'),
+            neutral: this.medianRT(t => t.condition === 'neutral')
+        };
+        const networks = this.mode === 'ant' ? this.networkScores() : null;
+        const conflictEffect = medianRTs.congruent === null || medianRTs.incongruent === null
+            ? null
+            : medianRTs.incongruent - medianRTs.congruent;
 
         document.getElementById('ft-display').style.visibility = 'hidden';
         document.getElementById('ft-options').style.display = 'none';
-        document.getElementById('ft-message').style.display = 'block';
-        document.getElementById('ft-difficulty').style.display = 'flex';
+
+        const formatEffect = ms => ms === null ? 'n/a' : `${ms > 0 ? '+' : ''}${ms}ms`;
+        this.finish({
+            score: score,
+            session: {
+                avgReactionTime: avgReactionTime,
+                omissions: this.omissions,
+                medianRTs: medianRTs,
+                conflictEffect: conflictEffect,
+                mode: this.mode,
+                ...(networks ? { networks: networks } : {})
+            },
+            stats: [
+                `${this.correct} correct, ${this.incorrect} incorrect (${Math.round(accuracy * 100)}% accuracy)` +
+                    (this.omissions > 0 ? `, ${this.omissions} too slow` : ''),
+                `Avg reaction time: ${avgReactionTime}ms`,
+                networks
+                    ? `Alerting: ${formatEffect(networks.alerting)}, orienting: ${formatEffect(networks.orienting)}, executive: ${formatEffect(networks.executive)}`
+                    : `Conflict effect: ${formatEffect(conflictEffect)}`
+            ]
+        });
     }
-};
+});
@@ -1,99 +1,231 @@
 /**
  * Memory Match Game
- * Find matching pairs of cards to train visual memory
+ * Find matching pairs of cards to train visual memory.
+ * Cards come from themed decks; pair decks match two different faces
+ * (a word and its picture, a name and a face) rather than two copies.
+ * The study variant shows every card face up before play starts.
+ *
+ * Each move is classed from the flip history: a match made by turning over a
+ * card seen before is remembered, one found on a never-seen card is lucky, and
+ * a mismatch is a memory error when the second card was already known or the
+ * first card's partner had been seen. Efficiency is the share of remembered
+ * matches among moves that tested memory.
  */
 
-const MemoryMatch = {
-    // Game configuration per difficulty
+const MemoryMatch = GameEngine.register({
+    id: 'memory-match',
+    prefix: 'mm',
+
+    // Game configuration per difficulty (studyTime in seconds)
     config: {
-        easy: { pairs: 6, gridClass: 'easy' },
-        medium: { pairs: 8, gridClass: 'medium' },
-        hard: { pairs: 12, gridClass: 'hard' }
+        easy: { pairs: 6, gridClass: 'easy', studyTime: 10 },
+        medium: { pairs: 10, gridClass: 'medium', studyTime: 15 },
+        hard: { pairs: 15, gridClass: 'hard', studyTime: 20 }
+    },
+
+    // Card decks; each needs at least as many items as the hardest grid has pairs.
+    // Pair decks list [first face, second face]; text decks show their first faces
+    // (the words and names) in a smaller font.
+    decks: {
+        letters: {
+            items: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'J', 'K', 'L', 'M', 'N', 'P', 'R', 'S', 'T', 'W']
+        },
+        shapes: {
+            items: ['●', '■', '▲', '◆', '★', '♥', '♠', '♣', '✚', '⬟', '⬢', '◐', '☾', '✿', '☀', '✖', '▼', '◯']
+        },
+        emoji: {
+            items: ['🐶', '🐱', '🦊', '🐻', '🐼', '🐸', '🦉', '🐙', '🦋', '🐢', '🍎', '🍋', '🍇', '🍉', '🌵', '🌻', '🍄', '⚽']
+        },
+        words: {
+            text: true,
+            items: ['Anchor', 'Basket', 'Candle', 'Desert', 'Engine', 'Forest', 'Garden', 'Hammer', 'Island',
+                'Jacket', 'Kettle', 'Ladder', 'Mirror', 'Needle', 'Orange', 'Pillow', 'Rocket', 'Saddle']
+        },
+        'word-picture': {
+            text: true,
+            pairs: [['Apple', '🍎'], ['Bicycle', '🚲'], ['Clock', '🕒'], ['Dolphin', '🐬'], ['Elephant', '🐘'],
+                ['Flower', '🌷'], ['Guitar', '🎸'], ['House', '🏠'], ['Key', '🔑'], ['Lemon', '🍋'],
+                ['Moon', '🌙'], ['Pencil', '✏️'], ['Rabbit', '🐇'], ['Snowman', '⛄'], ['Tree', '🌳'],
+                ['Umbrella', '☂️'], ['Violin', '🎻'], ['Whale', '🐋']]
+        },
+        'name-face': {
+            text: true,
+            // Names and faces are paired at random each game, so there is nothing to guess
+            names: ['Alice', 'Bruno', 'Clara', 'Daniel', 'Elena', 'Felix', 'Grace', 'Hugo', 'Iris',
+                'Jonah', 'Kira', 'Leo', 'Maya', 'Nikhil', 'Olga', 'Pablo', 'Rosa', 'Sam'],
+            faces: ['👩', '👨', '👵', '👴', '👧', '👦', '🧔', '👱‍♀️', '👱', '👩‍🦰', '👨‍🦰',
+                '👩‍🦱', '👨‍🦱', '👩‍🦳', '👨‍🦳', '👨‍🦲', '🧕', '👳']
+        }
     },
 
-    // Card symbols
-    symbols: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L'],
+    // Option rows and their defaults; the rows sit in one wrapper
+    options: { deck: 'letters', variant: 'classic' },
+    optionRows: ['options'],
 
     // Game state
     cards: [],
     flippedCards: [],
+    pairs: 0,
     matchedPairs: 0,
     moves: 0,
-    timer: null,
-    seconds: 0,
-    difficulty: 'easy',
     isLocked: false,
+    seen: new Set(),
+    memoryMatches: 0,
+    luckyMatches: 0,
+    memoryErrors: 0,
+    lastFlipAt: null,
 
     /**
-     * Start a new game
+     * Reset state and deal the cards for a new game
      */
-    start() {
-        // Get selected difficulty
-        const activeBtn = document.querySelector('#memory-match-game .diff-btn.active');
-        this.difficulty = activeBtn ? activeBtn.dataset.diff : 'easy';
-
-        // Reset state
+    reset() {
         this.cards = [];
         this.flippedCards = [];
         this.matchedPairs = 0;
         this.moves = 0;
         this.seconds = 0;
         this.isLocked = false;
-
-        // Clear timer
-        if (this.timer) clearInterval(this.timer);
-
-        // Hide message, show grid
-        document.getElementById('mm-message').style.display = 'none';
-        document.getElementById('mm-start').style.display = 'none';
+        this.seen = new Set();
+        this.memoryMatches = 0;
+        this.luckyMatches = 0;
+        this.memoryErrors = 0;
+        this.lastFlipAt = this.startedAt;
+        this.updateTimer();
 
         // Setup grid
         const grid = document.getElementById('mm-grid');
-        const config = this.config[this.difficulty];
+        const config = this.getConfig();
+        this.pairs = config.pairs;
 
         grid.className = `memory-grid ${config.gridClass}`;
         grid.innerHTML = '';
 
         // Create cards
         this.createCards(config.pairs);
+    },
 
-        // Update UI
-        this.updateUI();
+    /**
+     * Study the grid first in the study variant, otherwise start the clock
+     */
+    play() {
+        if (this.variant === 'study') {
+            this.study(this.getConfig().studyTime);
+        } else {
+            this.startPlay();
+        }
+    },
 
-        // Start timer
-        this.timer = setInterval(() => {
-            this.seconds++;
-            this.updateTimer();
-        }, 1000);
+    /**
+     * Show every card face up for the study period, then turn them over and play
+     * @param {number} studyTime - Seconds to study the grid
+     */
+    study(studyTime) {
+        this.isLocked = true;
+        this.cards.forEach(card => card.classList.add('flipped'));
+        this.studyCountdown(Math.round(studyTime));
     },
 
     /**
-     * Create shuffled card pairs
+     * Count down the study period a second at a time
+     * @param {number} remaining - Seconds left
      */
-    createCards(pairs) {
-        const symbols = this.symbols.slice(0, pairs);
-        const cardPairs = [...symbols, ...symbols];
+    studyCountdown(remaining) {
+        if (remaining > 0) {
+            document.getElementById('mm-instruction').textContent = `Memorise the cards: ${remaining}`;
+            this.schedule(() => this.studyCountdown(remaining - 1), 1000);
+            return;
+        }
+
+        // Every card has been seen, so every move now tests memory
+        this.cards.forEach((card, index) => {
+            card.classList.remove('flipped');
+            this.seen.add(index);
+        });
+        this.isLocked = false;
+        this.startPlay();
+    },
+
+    /**
+     * Start the clock; moves and times are measured from here
+     */
+    startPlay() {
+        document.getElementById('mm-instruction').textContent = this.variant === 'study'
+            ? 'Now find the pairs!'
+            : 'Find the matching pairs!';
+        this.lastFlipAt = Date.now();
+        this.startClock();
+    },
+
+    /**
+     * Update the clock display every second
+     */
+    onTick() {
+        this.updateTimer();
+    },
+
+    /**
+     * Take the pause out of the time to the next flip
+     * @param {number} pausedFor - Length of the pause in ms
+     */
+    onResume(pausedFor) {
+        this.lastFlipAt += pausedFor;
+    },
 
-        // Shuffle
-        for (let i = cardPairs.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [cardPairs[i], cardPairs[j]] = [cardPairs[j], cardPairs[i]];
+    /**
+     * Draw random pairs from a deck
+     * @param {string} deckId - Key of MemoryMatch.decks
+     * @param {number} count - Number of pairs
+     * @returns {Array} [first face, second face] per pair; plain decks repeat the face
+     */
+    drawPairs(deckId, count) {
+        const deck = this.decks[deckId] || this.decks.letters;
+        let pairs;
+
+        if (deck.names) {
+            const faces = Random.shuffle([...deck.faces]);
+            pairs = deck.names.map((name, i) => [name, faces[i]]);
+        } else if (deck.pairs) {
+            pairs = deck.pairs;
+        } else {
+            pairs = deck.items.map(item => [item, item]);
         }
 
+        return Random.shuffle([...pairs]).slice(0, count);
+    },
+
+    /**
+     * Create shuffled card pairs
+     */
+    createCards(pairs) {
+        const deck = this.decks[this.deck] || this.decks.letters;
+
+        // Cards match on their pair's first face, which also names the pair in the trial log
+        const cardFaces = [];
+        this.drawPairs(this.deck, pairs).forEach(([first, second]) => {
+            cardFaces.push(
+                { symbol: first, face: first, text: deck.text },
+                { symbol: first, face: second, text: deck.text && second === first }
+            );
+        });
+        Random.shuffle(cardFaces);
+
         // Create card elements
         const grid = document.getElementById('mm-grid');
 
-        cardPairs.forEach((symbol, index) => {
+        cardFaces.forEach(({ symbol, face, text }, index) => {
             const card = document.createElement('div');
             card.className = 'memory-card';
             card.dataset.symbol = symbol;
             card.dataset.index = index;
 
-            card.innerHTML = `
-                <div class="card-front"></div>
-                <div class="card-back">${symbol}</div>
-            `;
+            const front = document.createElement('div');
+            front.className = 'card-front';
+
+            const back = document.createElement('div');
+            back.className = text ? 'card-back text' : 'card-back';
+            back.textContent = face;
 
+            card.append(front, back);
             card.addEventListener('click', () => this.flipCard(card));
             grid.appendChild(card);
             this.cards.push(card);
@@ -104,8 +236,8 @@ const MemoryMatch = {
      * Handle card flip
      */
     flipCard(card) {
-        // Ignore if locked, already flipped, or already matched
-        if (this.isLocked ||
+        // Ignore if locked, paused, already flipped, or already matched
+        if (this.isLocked || this.isPaused ||
             card.classList.contains('flipped') ||
             card.classList.contains('matched')) {
             return;
@@ -115,14 +247,68 @@ const MemoryMatch = {
         card.classList.add('flipped');
         this.flippedCards.push(card);
 
+        // Log the flip; correctness and outcome are only known on the second card of a move
+        const now = Date.now();
+        const index = parseInt(card.dataset.index, 10);
+        const isSecond = this.flippedCards.length === 2;
+        const trial = {
+            trial: this.moves + 1,
+            stimulus: card.dataset.symbol,
+            response: index,
+            seen: this.seen.has(index),
+            correct: isSecond ? this.flippedCards[0].dataset.symbol === card.dataset.symbol : null,
+            rt: now - this.lastFlipAt
+        };
+        if (isSecond) {
+            trial.outcome = this.classifyMove(this.flippedCards[0], card, trial.seen);
+        }
+        this.trials.push(trial);
+        this.seen.add(index);
+        this.lastFlipAt = now;
+
         // Check for match when 2 cards are flipped
-        if (this.flippedCards.length === 2) {
+        if (isSecond) {
             this.moves++;
             this.updateUI();
             this.checkMatch();
         }
     },
 
+    /**
+     * Class a move from the flip history and update the memory counts
+     * @param {HTMLElement} first - First card of the move
+     * @param {HTMLElement} second - Second card of the move
+     * @param {boolean} secondSeen - Whether the second card had been turned over before
+     * @returns {string} 'remembered', 'lucky', 'memory-error' or 'exploring'
+     */
+    classifyMove(first, second, secondSeen) {
+        if (first.dataset.symbol === second.dataset.symbol) {
+            if (secondSeen) {
+                this.memoryMatches++;
+                return 'remembered';
+            }
+            this.luckyMatches++;
+            return 'lucky';
+        }
+
+        // The first card's partner can't be the second card here, so its seen state predates the move
+        const partner = this.cards.find(card => card !== first && card.dataset.symbol === first.dataset.symbol);
+        if (secondSeen || this.seen.has(parseInt(partner.dataset.index, 10))) {
+            this.memoryErrors++;
+            return 'memory-error';
+        }
+        return 'exploring';
+    },
+
+    /**
+     * Share of memory-tested moves that were remembered matches
+     * @returns {number|null} 0 to 1, or null when no move tested memory
+     */
+    getEfficiency() {
+        const tested = this.memoryMatches + this.memoryErrors;
+        return tested > 0 ? this.memoryMatches / tested : null;
+    },
+
     /**
      * Check if flipped cards match
      */
@@ -132,15 +318,16 @@ const MemoryMatch = {
 
         this.isLocked = true;
 
-        setTimeout(() => {
+        this.schedule(() => {
             if (match) {
+                Sound.play('correct');
                 card1.classList.add('matched');
                 card2.classList.add('matched');
                 this.matchedPairs++;
                 this.updateUI();
 
                 // Check for win
-                if (this.matchedPairs === this.config[this.difficulty].pairs) {
+                if (this.matchedPairs === this.pairs) {
                     this.endGame();
                 }
             } else {
@@ -157,7 +344,7 @@ const MemoryMatch = {
      * Update UI elements
      */
     updateUI() {
-        const pairs = this.config[this.difficulty].pairs;
+        const pairs = this.pairs;
         document.getElementById('mm-moves').textContent = this.moves;
         document.getElementById('mm-pairs').textContent = `${this.matchedPairs}/${pairs}`;
     },
@@ -176,26 +363,38 @@ const MemoryMatch = {
      * End the game
      */
     endGame() {
-        clearInterval(this.timer);
+        Sound.play('complete');
+        document.getElementById('mm-instruction').textContent = '';
 
         // Calculate score
-        const pairs = this.config[this.difficulty].pairs;
+        const pairs = this.pairs;
         const baseScore = pairs * 100;
         const moveBonus = Math.max(0, (pairs * 3 - this.moves) * 10);
         const timeBonus = Math.max(0, (pairs * 10 - this.seconds) * 2);
-        const difficultyMultiplier = { easy: 1, medium: 1.5, hard: 2 };
-
-        const score = Math.round((baseScore + moveBonus + timeBonus) * difficultyMultiplier[this.difficulty]);
-
-        // Save score
-        Storage.saveScore('memory-match', score, this.difficulty);
-
-        // Show message
-        document.getElementById('mm-final-score').textContent = score;
-        document.getElementById('mm-stats').textContent =
-            `${this.moves} moves in ${Math.floor(this.seconds / 60)}:${(this.seconds % 60).toString().padStart(2, '0')}`;
+        const score = Math.round((baseScore + moveBonus + timeBonus) * this.getDifficultyMultiplier());
+
+        const efficiency = this.getEfficiency();
+
+        this.finish({
+            score: score,
+            session: {
+                moves: this.moves,
+                seconds: this.seconds,
+                memoryMatches: this.memoryMatches,
+                luckyMatches: this.luckyMatches,
+                memoryErrors: this.memoryErrors,
+                efficiency: efficiency,
+                deck: this.deck,
+                variant: this.variant
+            },
+            stats: [
+                `${this.moves} moves in ${Math.floor(this.seconds / 60)}:${(this.seconds % 60).toString().padStart(2, '0')}`,
+                `Remembered: ${this.memoryMatches} · Lucky: ${this.luckyMatches} · Memory errors: ${this.memoryErrors}`,
+                `Memory efficiency: ${efficiency === null ? '—' : Math.round(efficiency * 100) + '%'}`
+            ]
+        });
 
-        document.getElementById('mm-message').style.display = 'block';
-        document.getElementById('mm-start').style.display = 'none';
+        // One adaptive trial per game: a pass is finding every pair within two moves each
+        this.recordAdaptive(this.moves <= pairs * 2);
     }
-};
+});
@@ -0,0 +1,367 @@
+/**
+ * N-Back Game
+ * Signal when the current stimulus matches the one from N steps back.
+ * Single mode tracks grid positions; dual mode adds a letter stream.
+ * Trains working memory updating
+ */
+
+const NBack = GameEngine.register({
+    id: 'n-back',
+    prefix: 'nb',
+
+    // Configuration per difficulty (N and the target rate are chosen separately)
+    config: {
+        easy: { trials: 20, interval: 3000, lureRate: 0 },
+        medium: { trials: 20, interval: 2500, lureRate: 0.1 },
+        hard: { trials: 20, interval: 2000, lureRate: 0.2 }
+    },
+
+    // How long each stimulus stays visible (ms)
+    STIMULUS_TIME: 500,
+
+    // Grid cells used for positions (the centre cell is left out)
+    positions: [0, 1, 2, 3, 5, 6, 7, 8],
+
+    // Letters for the second stream, chosen to look and sound distinct
+    letters: ['C', 'H', 'K', 'L', 'Q', 'R', 'S', 'T'],
+
+    // Response keys per stream
+    keys: { position: 'a', letter: 'l' },
+
+    // Option rows and their defaults; the rows sit in one wrapper
+    options: { mode: 'single', target: '0.3' },
+    optionRows: ['options'],
+
+    // Game state
+    n: 2,
+    targetRate: 0.3,
+    streams: ['position'],
+    history: { position: [], letter: [] },
+    current: null,
+    responses: {},
+    counts: {},
+    trial: 0,
+    totalTrials: 0,
+    canRespond: false,
+    stimulusShownAt: null,
+
+    /**
+     * Reset state for a new game; the first N trials have nothing to match against
+     */
+    reset() {
+        // The level row is read here, as its id (nb-level) differs from its data-n buttons
+        const levelBtn = document.querySelector('#nb-level .diff-btn.active');
+        this.n = levelBtn ? parseInt(levelBtn.dataset.n, 10) : 2;
+        this.targetRate = parseFloat(this.target);
+        this.streams = this.mode === 'dual' ? ['position', 'letter'] : ['position'];
+
+        this.history = { position: [], letter: [] };
+        this.counts = {};
+        for (const stream of this.streams) {
+            this.counts[stream] = { hits: 0, misses: 0, falseAlarms: 0, correctRejections: 0 };
+        }
+        this.trial = 0;
+        this.totalTrials = this.getConfig().trials + this.n;
+        this.canRespond = false;
+
+        // Update best score
+        document.getElementById('nb-best').textContent = Storage.getBestScore('n-back', this.difficulty);
+        document.getElementById('nb-n').textContent = this.n;
+
+        // Setup grid and buttons
+        this.createGrid();
+        this.setupButtons();
+
+        document.getElementById('nb-instruction').textContent =
+            `Press when it matches ${this.n} step${this.n === 1 ? '' : 's'} back`;
+    },
+
+    /**
+     * Start the first trial after a brief delay
+     */
+    play() {
+        this.schedule(() => this.nextTrial(), 1000);
+    },
+
+    /**
+     * Take the pause out of the response time
+     * @param {number} pausedFor - Length of the pause in ms
+     */
+    onResume(pausedFor) {
+        this.stimulusShownAt += pausedFor;
+    },
+
+    /**
+     * Create the 3x3 position grid
+     */
+    createGrid() {
+        const grid = document.getElementById('nb-grid');
+        grid.innerHTML = '';
+
+        for (let i = 0; i < 9; i++) {
+            const cell = document.createElement('div');
+            cell.className = 'nback-cell';
+            cell.id = `nb-cell-${i}`;
+            grid.appendChild(cell);
+        }
+    },
+
+    /**
+     * Setup response buttons, one per stream
+     */
+    setupButtons() {
+        const container = document.getElementById('nb-buttons');
+        container.innerHTML = '';
+
+        for (const stream of this.streams) {
+            const btn = document.createElement('button');
+            btn.className = 'nback-btn';
+            btn.id = `nb-${stream}-btn`;
+            btn.innerHTML = `
+                <span class="label">${stream === 'position' ? 'Position' : 'Letter'} match</span>
+                <span class="key">${this.keys[stream].toUpperCase()}</span>
+            `;
+            btn.addEventListener('click', () => this.respond(stream));
+            container.appendChild(btn);
+        }
+        container.style.display = 'flex';
+
+        // Keyboard support (space also works for position in single mode)
+        this.onKey((e) => {
+            const key = e.key.toLowerCase();
+            for (const stream of this.streams) {
+                if (key === this.keys[stream]) this.respond(stream);
+            }
+            if (key === ' ' && this.mode === 'single') {
+                e.preventDefault();
+                this.respond('position');
+            }
+        });
+    },
+
+    /**
+     * Pick the next stimulus for a stream. A target repeats the item from N
+     * back; a lure repeats one from N-1 or N+1 back, which feels familiar but
+     * is not a match.
+     * @param {Array} history - Earlier items in this stream
+     * @param {Array} pool - Possible items
+     * @param {Object} config - Current config
+     * @returns {Object} { value, target, lure }
+     */
+    pickStimulus(history, pool, config) {
+        const i = history.length;
+
+        if (i < this.n) {
+            return { value: Random.pick(pool), target: false, lure: false };
+        }
+
+        const back = history[i - this.n];
+        const r = Random.next();
+        let value;
+
+        if (r < this.targetRate) {
+            value = back;
+        } else {
+            const lureSources = [i - this.n - 1, i - this.n + 1]
+                .filter(j => j >= 0 && j < i && history[j] !== back)
+                .map(j => history[j]);
+
+            value = r < this.targetRate + config.lureRate && lureSources.length > 0
+                ? Random.pick(lureSources)
+                : Random.pick(pool.filter(item => item !== back));
+        }
+
+        // Random picks can land on a lure by chance, so classify after choosing
+        const target = value === back;
+        const lure = !target && [i - this.n - 1, i - this.n + 1]
+            .some(j => j >= 0 && j < i && history[j] === value);
+
+        return { value, target, lure };
+    },
+
+    /**
+     * Show the next stimulus
+     */
+    nextTrial() {
+        if (!this.isPlaying) return;
+
+        this.trial++;
+        if (this.trial > this.totalTrials) {
+            this.endGame();
+            return;
+        }
+
+        const config = this.getConfig();
+        const pools = { position: this.positions, letter: this.letters };
+
+        this.current = {};
+        for (const stream of this.streams) {
+            this.current[stream] = this.pickStimulus(this.history[stream], pools[stream], config);
+            this.history[stream].push(this.current[stream].value);
+        }
+        this.responses = {};
+
+        // Light the cell, with the letter inside in dual mode
+        const cell = document.getElementById(`nb-cell-${this.current.position.value}`);
+        cell.classList.add('active');
+        cell.textContent = this.current.letter ? this.current.letter.value : '';
+
+        this.schedule(() => {
+            cell.classList.remove('active');
+            cell.textContent = '';
+        }, this.STIMULUS_TIME);
+
+        this.canRespond = true;
+        this.stimulusShownAt = Date.now();
+        this.updateUI();
+
+        // Responses are accepted until the next stimulus
+        this.schedule(() => this.scoreTrial(), config.interval);
+    },
+
+    /**
+     * Handle a match response for one stream
+     * @param {string} stream - 'position' or 'letter'
+     */
+    respond(stream) {
+        if (this.isPaused || !this.canRespond || !this.streams.includes(stream) || this.responses[stream]) return;
+
+        this.responses[stream] = Date.now() - this.stimulusShownAt;
+
+        const isCorrect = this.current[stream].target;
+        const btn = document.getElementById(`nb-${stream}-btn`);
+        btn.classList.add(isCorrect ? 'correct-flash' : 'incorrect-flash');
+        setTimeout(() => btn.classList.remove('correct-flash', 'incorrect-flash'), 400);
+
+        Sound.play(isCorrect ? 'correct' : 'incorrect');
+    },
+
+    /**
+     * Classify the finished trial for each stream, log it and move on
+     */
+    scoreTrial() {
+        if (!this.isPlaying) return;
+        this.canRespond = false;
+
+        const entry = {
+            trial: this.trial,
+            stimulus: {},
+            target: {},
+            lure: {},
+            response: {},
+            correct: true,
+            rt: {}
+        };
+
+        // The first N trials have nothing to match, so they are logged but left out of d'
+        const isWarmUp = this.trial <= this.n;
+
+        let missed = false;
+        for (const stream of this.streams) {
+            const { value, target, lure } = this.current[stream];
+            const responded = stream in this.responses;
+
+            if (!isWarmUp) {
+                const counts = this.counts[stream];
+                if (target && responded) counts.hits++;
+                else if (target) { counts.misses++; missed = true; }
+                else if (responded) counts.falseAlarms++;
+                else counts.correctRejections++;
+            }
+
+            entry.stimulus[stream] = value;
+            entry.target[stream] = target;
+            entry.lure[stream] = lure;
+            entry.response[stream] = responded;
+            entry.rt[stream] = responded ? this.responses[stream] : null;
+            entry.correct = entry.correct && target === responded;
+        }
+
+        this.trials.push(entry);
+
+        if (missed) {
+            Sound.play('incorrect');
+        }
+
+        // Nor do they move the staircase
+        if (!isWarmUp) {
+            this.recordAdaptive(entry.correct);
+        }
+
+        this.updateUI();
+        this.nextTrial();
+    },
+
+    /**
+     * Convert a probability to a standard normal z-score
+     * (Abramowitz & Stegun 26.2.23, error below 4.5e-4)
+     * @param {number} p - Probability between 0 and 1 (exclusive)
+     * @returns {number} z
+     */
+    zScore(p) {
+        if (p > 0.5) return -this.zScore(1 - p);
+
+        const t = Math.sqrt(-2 * Math.log(p));
+        return -(t - (2.515517 + 0.802853 * t + 0.010328 * t * t) /
+            (1 + 1.432788 * t + 0.189269 * t * t + 0.001308 * t * t * t));
+    },
+
+    /**
+     * Compute d-prime (sensitivity) from response counts. Rates use the
+     * log-linear correction so perfect scores stay finite.
+     * @param {Object} counts - { hits, misses, falseAlarms, correctRejections }
+     * @returns {number} d'
+     */
+    dPrime(counts) {
+        const hitRate = (counts.hits + 0.5) / (counts.hits + counts.misses + 1);
+        const faRate = (counts.falseAlarms + 0.5) / (counts.falseAlarms + counts.correctRejections + 1);
+        return this.zScore(hitRate) - this.zScore(faRate);
+    },
+
+    /**
+     * Update UI
+     */
+    updateUI() {
+        document.getElementById('nb-trial').textContent =
+            `${Math.min(this.trial, this.totalTrials)}/${this.totalTrials}`;
+    },
+
+    /**
+     * End the game
+     */
+    endGame() {
+        Sound.play('complete');
+        this.canRespond = false;
+
+        // Score from sensitivity, summed over streams and scaled by N
+        const dPrime = {};
+        for (const stream of this.streams) {
+            dPrime[stream] = Math.round(this.dPrime(this.counts[stream]) * 100) / 100;
+        }
+        const totalDPrime = Object.values(dPrime).reduce((a, b) => a + b, 0);
+        const score = Math.round(Math.max(0, totalDPrime) * 50 * this.n * this.getDifficultyMultiplier());
+
+        this.finish({
+            score: score,
+            session: {
+                mode: this.mode,
+                n: this.n,
+                target: this.targetRate,
+                dPrime: dPrime,
+                counts: this.counts
+            },
+            stats: this.streams.map(stream => {
+                const c = this.counts[stream];
+                const label = stream === 'position' ? 'Position' : 'Letter';
+                return `${label}: ${c.hits}/${c.hits + c.misses} matches, ${c.falseAlarms} false alarm${c.falseAlarms === 1 ? '' : 's'} (d′ ${dPrime[stream].toFixed(2)})`;
+            })
+        });
+
+        // Update best
+        document.getElementById('nb-best').textContent = Storage.getBestScore('n-back', this.difficulty);
+
+        document.getElementById('nb-buttons').style.display = 'none';
+        document.getElementById('nb-instruction').textContent = '';
+        this.createGrid();
+    }
+});
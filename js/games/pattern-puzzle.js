@@ -1,138 +1,100 @@
 /**
  * Pattern Puzzle Game
- * Find the missing element in a logical pattern
+ * Complete Raven-style matrices whose rows and columns follow rules
  * Trains logical reasoning and pattern recognition
+ * (puzzles come from MatrixGenerator)
+ *
+ * Each puzzle is an item whose difficulty is calibrated by a Rasch model
+ * (see Calibration). The next item is picked so the player solves it with the
+ * difficulty's success rate, and levels are calibrated difficulties, so the
+ * same level means the same challenge in every session.
+ *
+ * Each puzzle is drawn from its own seed and the session saves the items it
+ * showed, so a replay regenerates the same puzzles. Today's trials, and
+ * replays that outlast the saved items, pick items from their priors and this
+ * game's answers alone, so everyone gets the same puzzles for the same answers.
  */
 
-const PatternPuzzle = {
+const PatternPuzzle = GameEngine.register({
+    id: 'pattern-puzzle',
+    prefix: 'pp',
+
     // Configuration per difficulty
     config: {
-        easy: { lives: 5, optionCount: 3 },
-        medium: { lives: 3, optionCount: 4 },
-        hard: { lives: 2, optionCount: 5 }
-    },
-
-    // Pattern types
-    patterns: {
-        // Number sequences
-        numbers: {
-            generate: (level) => {
-                const start = Math.floor(Math.random() * 10) + 1;
-                const step = Math.floor(Math.random() * (level + 2)) + 1;
-                const sequence = [];
-                for (let i = 0; i < 9; i++) {
-                    sequence.push(start + (step * i));
-                }
-                return { sequence, answer: sequence[8], type: 'number' };
-            }
-        },
-        // Shape sequences
-        shapes: {
-            symbols: ['●', '■', '▲', '◆', '★', '○', '□', '△', '◇', '☆'],
-            generate: (level) => {
-                const patternLength = Math.min(2 + Math.floor(level / 3), 4);
-                const pattern = [];
-                const usedSymbols = [];
-
-                for (let i = 0; i < patternLength; i++) {
-                    let symbol;
-                    do {
-                        symbol = PatternPuzzle.patterns.shapes.symbols[
-                            Math.floor(Math.random() * PatternPuzzle.patterns.shapes.symbols.length)
-                        ];
-                    } while (usedSymbols.includes(symbol));
-                    usedSymbols.push(symbol);
-                    pattern.push(symbol);
-                }
-
-                const sequence = [];
-                for (let i = 0; i < 9; i++) {
-                    sequence.push(pattern[i % patternLength]);
-                }
-
-                return { sequence, answer: sequence[8], type: 'shape' };
-            }
-        },
-        // Alternating patterns
-        alternating: {
-            generate: (level) => {
-                const symbols = ['○', '●'];
-                if (level > 2) symbols.push('◐');
-                if (level > 5) symbols.push('◑');
-
-                const sequence = [];
-                for (let i = 0; i < 9; i++) {
-                    sequence.push(symbols[i % symbols.length]);
-                }
-
-                return { sequence, answer: sequence[8], type: 'shape' };
-            }
-        },
-        // Math patterns (A + B = C in each row)
-        math: {
-            generate: (level) => {
-                const sequence = [];
-                for (let row = 0; row < 3; row++) {
-                    const a = Math.floor(Math.random() * 5) + 1 + (row * 2);
-                    const b = Math.floor(Math.random() * 5) + 1;
-                    const c = a + b;
-                    sequence.push(a, b, c);
-                }
-
-                return { sequence, answer: sequence[8], type: 'number' };
-            }
-        }
+        easy: { lives: 5, optionCount: 3, successRate: 0.8 },
+        medium: { lives: 3, optionCount: 4, successRate: 0.65 },
+        hard: { lives: 2, optionCount: 5, successRate: 0.5 }
     },
 
     // Game state
     currentPattern: null,
+    item: null,
+    puzzles: [],
+    replayPuzzles: [],
+    seededState: null,
+    round: 1,
     level: 1,
+    bestLevel: 0,
     score: 0,
     streak: 0,
     lives: 3,
-    difficulty: 'easy',
-    isPlaying: false,
+    isAnswered: false,
+    isFirstAttempt: true,
+    puzzleShownAt: null,
 
     /**
-     * Start a new game
+     * Reset state for a new game
      */
-    start() {
-        // Get difficulty
-        const activeBtn = document.querySelector('#pattern-puzzle-game .diff-btn.active');
-        this.difficulty = activeBtn ? activeBtn.dataset.diff : 'easy';
+    reset() {
+        this.item = null;
+        this.puzzles = [];
+
+        // A seed played before (a replay, or today's trials again) brings back its puzzles
+        const earlier = Storage.getScores(this.id).find(entry => entry.session?.seed === this.seed && entry.session.puzzles);
+        this.replayPuzzles = earlier ? earlier.session.puzzles : [];
+        this.seededState = earlier || Random.isDaily(this.seed) ? { items: {}, responses: [] } : null;
 
-        // Reset state
-        this.level = 1;
+        this.round = 1;
+        this.bestLevel = 0;
         this.score = 0;
         this.streak = 0;
-        this.lives = this.config[this.difficulty].lives;
-        this.isPlaying = true;
+        this.lives = this.getConfig().lives;
 
-        // Hide elements
-        document.getElementById('pp-message').style.display = 'none';
-        document.getElementById('pp-start').style.display = 'none';
-        document.getElementById('pp-difficulty').style.display = 'none';
-
-        // Update UI
-        this.updateUI();
+        document.getElementById('pp-explanation').style.display = 'none';
+    },
 
-        // Generate first puzzle
+    /**
+     * Show the first puzzle
+     */
+    play() {
         this.nextPuzzle();
     },
 
+    /**
+     * Take the pause out of the response time
+     * @param {number} pausedFor - Length of the pause in ms
+     */
+    onResume(pausedFor) {
+        this.puzzleShownAt += pausedFor;
+    },
+
     /**
      * Generate next puzzle
      */
     nextPuzzle() {
         if (!this.isPlaying) return;
 
-        // Select pattern type based on level
-        const patternTypes = Object.keys(this.patterns);
-        const typeIndex = (this.level - 1) % patternTypes.length;
-        const patternType = patternTypes[typeIndex];
+        this.item = this.pickItem();
+        this.level = Calibration.toLevel(this.item.difficulty);
 
-        // Generate pattern
-        this.currentPattern = this.patterns[patternType].generate(this.level);
+        // Each puzzle has its own seed, so it can be regenerated from its item alone
+        Random.use(`${this.seed}:${this.puzzles.length}`);
+        this.puzzles.push({ item: this.item.tag, rules: this.item.rules });
+
+        this.currentPattern = MatrixGenerator.generate(this.item.rules);
+        this.isAnswered = false;
+        this.isFirstAttempt = true;
+        document.getElementById('pp-explanation').style.display = 'none';
 
         // Render grid
         this.renderGrid();
@@ -141,6 +103,26 @@ const PatternPuzzle = {
         this.renderOptions();
 
         this.updateUI();
+        this.puzzleShownAt = Date.now();
+    },
+
+    /**
+     * Choose the next item: the saved one when replaying, otherwise one near the
+     * player's ability (never the same one twice running). Seeded runs judge
+     * ability from item priors and this game's answers instead of stored calibration.
+     * @returns {Object} Item with its `difficulty`
+     */
+    pickItem() {
+        const items = MatrixGenerator.items();
+        const saved = this.replayPuzzles[this.puzzles.length];
+
+        if (saved) {
+            const item = items.find(i => i.tag === saved.item) || { tag: saved.item, prior: 0 };
+            return { ...item, rules: saved.rules, difficulty: Calibration.getDifficulty(this.id, item) };
+        }
+
+        return Calibration.selectItem(this.id, items, this.getConfig().successRate, this.item?.tag,
+            this.seededState || undefined);
     },
 
     /**
@@ -150,7 +132,7 @@ const PatternPuzzle = {
         const grid = document.getElementById('pp-grid');
         grid.innerHTML = '';
 
-        const sequence = this.currentPattern.sequence;
+        const cells = this.currentPattern.cells;
 
         for (let i = 0; i < 9; i++) {
             const cell = document.createElement('div');
@@ -161,7 +143,7 @@ const PatternPuzzle = {
                 cell.classList.add('mystery');
                 cell.textContent = '?';
             } else {
-                cell.textContent = sequence[i];
+                cell.innerHTML = MatrixGenerator.render(cells[i]);
             }
 
             grid.appendChild(cell);
@@ -176,78 +158,115 @@ const PatternPuzzle = {
         options.innerHTML = '';
 
         const correctAnswer = this.currentPattern.answer;
-        const optionCount = this.config[this.difficulty].optionCount;
-
-        // Generate wrong answers
-        const allOptions = [correctAnswer];
+        const optionCount = this.getConfig().optionCount;
 
-        while (allOptions.length < optionCount) {
-            let wrongAnswer;
-
-            if (this.currentPattern.type === 'number') {
-                // Generate nearby wrong numbers
-                const offset = Math.floor(Math.random() * 5) - 2;
-                wrongAnswer = correctAnswer + offset;
-                if (wrongAnswer === correctAnswer) wrongAnswer = correctAnswer + 3;
-            } else {
-                // Generate random wrong shapes
-                const shapes = this.patterns.shapes.symbols;
-                wrongAnswer = shapes[Math.floor(Math.random() * shapes.length)];
-            }
-
-            if (!allOptions.includes(wrongAnswer)) {
-                allOptions.push(wrongAnswer);
-            }
-        }
-
-        // Shuffle options
-        for (let i = allOptions.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [allOptions[i], allOptions[j]] = [allOptions[j], allOptions[i]];
-        }
+        // Generate wrong answers and shuffle them in
+        const allOptions = Random.shuffle([
+            correctAnswer,
+            ...MatrixGenerator.distractors(this.currentPattern, optionCount - 1)
+        ]);
 
         // Create buttons
         allOptions.forEach(option => {
             const btn = document.createElement('button');
             btn.className = 'pattern-option';
-            btn.textContent = option;
-            btn.addEventListener('click', () => this.handleAnswer(option));
+            btn.innerHTML = MatrixGenerator.render(option);
+            btn.addEventListener('click', () => this.handleAnswer(option, btn));
             options.appendChild(btn);
         });
     },
 
+    /**
+     * Show the explanation panel
+     * @param {string} feedback - Headline for this answer
+     * @param {Array} rules - Rule descriptions to list (may be empty)
+     * @param {boolean} showNext - Whether to offer the next puzzle
+     */
+    showExplanation(feedback, rules, showNext) {
+        document.getElementById('pp-feedback').textContent = feedback;
+
+        const list = document.getElementById('pp-rules');
+        list.innerHTML = '';
+        rules.forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            list.appendChild(item);
+        });
+
+        document.getElementById('pp-next').style.display = showNext ? 'inline-block' : 'none';
+        document.getElementById('pp-explanation').style.display = 'block';
+    },
+
     /**
      * Handle answer selection
      */
-    handleAnswer(answer) {
-        if (!this.isPlaying) return;
+    handleAnswer(answer, btn) {
+        if (!this.isPlaying || this.isPaused || this.isAnswered) return;
 
         const mysteryCell = document.querySelector('.pattern-cell.mystery');
         const correctAnswer = this.currentPattern.answer;
+        const isCorrect = MatrixGenerator.key(answer) === MatrixGenerator.key(correctAnswer);
+
+        // Log the attempt (a puzzle may be attempted more than once)
+        this.trials.push({
+            trial: this.round,
+            stimulus: {
+                item: this.item.tag,
+                difficulty: this.item.difficulty,
+                rules: this.currentPattern.rules,
+                cells: this.currentPattern.cells.slice(0, 8).map(cell => MatrixGenerator.key(cell))
+            },
+            expected: MatrixGenerator.key(correctAnswer),
+            response: MatrixGenerator.key(answer),
+            violates: answer.violates || null,
+            correct: isCorrect,
+            rt: Date.now() - this.puzzleShownAt
+        });
 
-        if (answer === correctAnswer) {
+        this.recordAdaptive(isCorrect);
+
+        // Only first attempts calibrate: a retry has fewer options left
+        if (this.isFirstAttempt) {
+            Calibration.record('pattern-puzzle', this.item, isCorrect);
+            if (this.seededState) {
+                this.seededState.items[this.item.tag] = { difficulty: this.item.prior };
+                this.seededState.responses.push({ item: this.item.tag, correct: isCorrect });
+            }
+            this.isFirstAttempt = false;
+        }
+
+        if (isCorrect) {
             // Correct!
+            Sound.play('correct');
             this.streak++;
             const points = (10 + (this.level * 5)) * (1 + this.streak * 0.1);
             this.score += Math.round(points * this.getDifficultyMultiplier());
-            this.level++;
+            this.bestLevel = Math.max(this.bestLevel, this.level);
+            this.round++;
 
-            mysteryCell.textContent = correctAnswer;
-            mysteryCell.classList.remove('mystery');
-            mysteryCell.classList.add('correct-flash');
+            this.revealAnswer('correct-flash');
 
-            // Next puzzle after brief delay
-            setTimeout(() => this.nextPuzzle(), 800);
+            // Explain the rules, then move on when the player is ready
+            this.isAnswered = true;
+            this.showExplanation('Correct! The rules were:', MatrixGenerator.explain(this.currentPattern), true);
         } else {
             // Wrong!
+            Sound.play('incorrect');
             this.streak = 0;
             this.lives--;
 
+            btn.disabled = true;
+            btn.classList.add('wrong');
             mysteryCell.classList.add('incorrect-flash');
             setTimeout(() => mysteryCell.classList.remove('incorrect-flash'), 500);
 
             if (this.lives <= 0) {
+                this.revealAnswer();
+                this.showExplanation('Out of lives. The answer follows these rules:',
+                    MatrixGenerator.explain(this.currentPattern), false);
                 this.endGame();
+            } else {
+                this.showExplanation(`${MatrixGenerator.explainMistake(this.currentPattern, answer)} Try again!`, [], false);
             }
         }
 
@@ -255,11 +274,14 @@ const PatternPuzzle = {
     },
 
     /**
-     * Get difficulty multiplier
+     * Fill the mystery cell with the answer
+     * @param {string} [flashClass] - Animation class to add
      */
-    getDifficultyMultiplier() {
-        const multipliers = { easy: 1, medium: 1.5, hard: 2 };
-        return multipliers[this.difficulty];
+    revealAnswer(flashClass) {
+        const mysteryCell = document.querySelector('.pattern-cell.mystery');
+        mysteryCell.innerHTML = MatrixGenerator.render(this.currentPattern.answer);
+        mysteryCell.classList.remove('mystery');
+        if (flashClass) mysteryCell.classList.add(flashClass);
     },
 
     /**
@@ -275,23 +297,26 @@ const PatternPuzzle = {
      * End the game
      */
     endGame() {
-        this.isPlaying = false;
-
-        // Final score
-        const finalScore = Math.round(this.score);
-
-        // Save score
-        Storage.saveScore('pattern-puzzle', finalScore, this.difficulty);
+        const solved = this.round - 1;
+        const ability = Calibration.getAbility('pattern-puzzle');
 
-        // Show results
-        document.getElementById('pp-result-title').textContent =
-            this.level > 10 ? 'Excellent!' : this.level > 5 ? 'Good Job!' : 'Game Over';
-        document.getElementById('pp-final-score').textContent = finalScore;
-        document.getElementById('pp-stats').textContent =
-            `Reached level ${this.level} with best streak of ${this.streak}`;
-
-        document.getElementById('pp-message').style.display = 'block';
         document.getElementById('pp-options').innerHTML = '';
-        document.getElementById('pp-difficulty').style.display = 'flex';
+
+        this.finish({
+            score: Math.round(this.score),
+            session: {
+                solved: solved,
+                bestLevel: this.bestLevel,
+                puzzles: this.puzzles,
+                ability: ability.ability,
+                abilityError: ability.standardError
+            },
+            title: solved >= 10 ? 'Excellent!' : solved >= 5 ? 'Good Job!' : 'Game Over',
+            stats: [
+                solved > 0 ? `Solved ${solved} puzzles, up to level ${this.bestLevel}` : 'No puzzles solved',
+                `Reasoning ability: level ${Calibration.toLevel(ability.ability)} ` +
+                    `(± ${Math.round(ability.standardError * Calibration.LEVELS_PER_LOGIT)})`
+            ]
+        });
     }
-};
+});
@@ -0,0 +1,257 @@
+/**
+ * Reaction Time Game
+ * Respond as soon as a pad lights up. Easy is simple reaction time (one pad);
+ * medium and hard are choice reaction time (respond to the pad that lit)
+ * Trains processing speed
+ */
+
+const ReactionTime = GameEngine.register({
+    id: 'reaction-time',
+    prefix: 'rt',
+
+    // Configuration per difficulty
+    config: {
+        easy: { choices: 1, trials: 15 },
+        medium: { choices: 2, trials: 20 },
+        hard: { choices: 4, trials: 20 }
+    },
+
+    // Random wait before each stimulus (ms), so responses can't be timed in advance
+    FOREPERIOD: { min: 1000, max: 3000 },
+
+    // A trial with no response by this time counts as a miss (ms)
+    TIMEOUT: 1500,
+
+    // Responses faster than this are anticipations, not reactions (ms)
+    MIN_RT: 100,
+
+    // Keys for each pad, by number of choices
+    keys: {
+        1: [' '],
+        2: ['f', 'j'],
+        4: ['d', 'f', 'j', 'k']
+    },
+
+    // Game state
+    choices: 1,
+    target: null,
+    correct: 0,
+    errors: 0,
+    round: 0,
+    totalRounds: 15,
+    timer: null,
+    isWaiting: false,
+    canAnswer: false,
+    foreperiod: 0,
+    stimulusShownAt: null,
+
+    /**
+     * Reset state and set up the pads for a new game
+     */
+    reset() {
+        const config = this.getConfig();
+        this.choices = config.choices;
+        this.totalRounds = config.trials;
+
+        this.correct = 0;
+        this.errors = 0;
+        this.round = 0;
+        this.isWaiting = false;
+        this.canAnswer = false;
+
+        this.setupPads();
+    },
+
+    /**
+     * Start the first trial
+     */
+    play() {
+        this.nextTrial();
+    },
+
+    /**
+     * Take the pause out of the response time
+     * @param {number} pausedFor - Length of the pause in ms
+     */
+    onResume(pausedFor) {
+        this.stimulusShownAt += pausedFor;
+    },
+
+    /**
+     * Create the pads, which double as touch targets, and keyboard input
+     */
+    setupPads() {
+        const padsEl = document.getElementById('rt-pads');
+        padsEl.innerHTML = '';
+        padsEl.className = `rt-pads choices-${this.choices}`;
+
+        this.keys[this.choices].forEach((key, index) => {
+            const pad = document.createElement('button');
+            pad.className = 'rt-pad';
+            pad.id = `rt-pad-${index}`;
+            pad.innerHTML = `<span class="key">${key === ' ' ? 'Space' : key.toUpperCase()}</span>`;
+            pad.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                this.handleResponse(index);
+            });
+            padsEl.appendChild(pad);
+        });
+        padsEl.style.display = 'grid';
+
+        // Keyboard support
+        this.onKey((e) => {
+            if (e.repeat) return;
+            const index = this.keys[this.choices].indexOf(e.key.toLowerCase());
+            if (index === -1) return;
+            e.preventDefault();
+            this.handleResponse(index);
+        });
+    },
+
+    /**
+     * Wait a random foreperiod, then light a pad
+     */
+    nextTrial() {
+        if (!this.isPlaying) return;
+
+        this.round++;
+        if (this.round > this.totalRounds) {
+            this.endGame();
+            return;
+        }
+
+        this.updateUI();
+        this.setInstruction('Wait for it...');
+
+        this.isWaiting = true;
+        this.canAnswer = false;
+        this.foreperiod = Math.round(this.FOREPERIOD.min + Random.next() * (this.FOREPERIOD.max - this.FOREPERIOD.min));
+
+        this.timer = this.schedule(() => this.showStimulus(), this.foreperiod);
+    },
+
+    /**
+     * Light the target pad and start timing
+     */
+    showStimulus() {
+        if (!this.isPlaying) return;
+
+        this.target = Random.int(this.choices);
+        document.getElementById(`rt-pad-${this.target}`).classList.add('lit');
+        this.setInstruction(this.choices === 1 ? 'Now!' : 'Hit the lit pad!');
+
+        this.isWaiting = false;
+        this.canAnswer = true;
+        this.stimulusShownAt = Date.now();
+
+        this.timer = this.schedule(() => this.recordTrial(null), this.TIMEOUT);
+    },
+
+    /**
+     * Handle a key press or tap
+     * @param {number} index - Pad pressed
+     */
+    handleResponse(index) {
+        if (!this.isPlaying || this.isPaused) return;
+
+        if (this.isWaiting) {
+            // Pressed before the stimulus: a false start
+            this.cancel(this.timer);
+            this.isWaiting = false;
+            this.recordTrial(index, true);
+            return;
+        }
+
+        if (this.canAnswer) {
+            this.cancel(this.timer);
+            this.recordTrial(index);
+        }
+    },
+
+    /**
+     * Log the trial outcome, give feedback and move on
+     * @param {number|null} response - Pad pressed, or null if none
+     * @param {boolean} falseStart - Whether the press came before the stimulus
+     */
+    recordTrial(response, falseStart = false) {
+        this.canAnswer = false;
+
+        const rt = falseStart || response === null ? null : Date.now() - this.stimulusShownAt;
+        const anticipated = rt !== null && rt < this.MIN_RT;
+        const isCorrect = !falseStart && !anticipated && response !== null && response === this.target;
+
+        this.trials.push({
+            trial: this.round,
+            stimulus: falseStart ? null : this.target,
+            response: response,
+            correct: isCorrect,
+            rt: rt,
+            foreperiod: this.foreperiod,
+            falseStart: falseStart || anticipated
+        });
+
+        if (isCorrect) {
+            Sound.play('correct');
+            this.correct++;
+            this.setInstruction(`${rt}ms`);
+        } else {
+            Sound.play('incorrect');
+            this.errors++;
+            this.setInstruction(falseStart || anticipated ? 'Too soon!' : response === null ? 'Too slow!' : 'Wrong pad!');
+        }
+
+        document.querySelectorAll('.rt-pad').forEach(pad => pad.classList.remove('lit'));
+        this.updateUI();
+
+        this.schedule(() => this.nextTrial(), 800);
+    },
+
+    /**
+     * Show a short prompt above the pads
+     * @param {string} text - Prompt
+     */
+    setInstruction(text) {
+        document.getElementById('rt-instruction').textContent = text;
+    },
+
+    /**
+     * Update UI
+     */
+    updateUI() {
+        document.getElementById('rt-correct').textContent = this.correct;
+        document.getElementById('rt-round').textContent = `${Math.min(this.round, this.totalRounds)}/${this.totalRounds}`;
+        document.getElementById('rt-errors').textContent = this.errors;
+    },
+
+    /**
+     * End the game
+     */
+    endGame() {
+        Sound.play('complete');
+        this.isWaiting = false;
+        this.canAnswer = false;
+
+        // Median correct reaction time
+        const rts = this.trials.filter(t => t.correct).map(t => t.rt).sort((a, b) => a - b);
+        const medianRT = rts.length > 0 ? rts[Math.floor(rts.length / 2)] : null;
+
+        // Calculate score (faster median = bigger bonus)
+        const speedBonus = medianRT === null ? 0 : Math.max(0, Math.round((1000 - medianRT) / 2));
+        const score = Math.round((this.correct * 20 + speedBonus) * this.getDifficultyMultiplier());
+
+        this.finish({
+            score: score,
+            session: {
+                choices: this.choices,
+                medianRT: medianRT
+            },
+            stats: [
+                `${this.correct}/${this.totalRounds} correct`,
+                `Median reaction time: ${medianRT === null ? 'n/a' : medianRT + 'ms'}`
+            ]
+        });
+
+        this.setInstruction('');
+        document.getElementById('rt-pads').style.display = 'none';
+    }
+});
@@ -1,9 +1,16 @@
 /**
  * Sequence Recall Game
- * Remember and repeat growing sequences to train working memory
+ * Remember and repeat growing sequences to train working memory.
+ * Each length gets two attempts with fresh sequences; the game ends after
+ * two misses at the same length, and the span is the longest length recalled.
+ * Sequences can be recalled forward or backward, using coloured buttons or
+ * Corsi blocks scattered across the board.
  */
 
-const SequenceRecall = {
+const SequenceRecall = GameEngine.register({
+    id: 'sequence-recall',
+    prefix: 'sr',
+
     // Game configuration
     config: {
         easy: { items: 4, speed: 800, startLength: 2 },
@@ -11,6 +18,9 @@ const SequenceRecall = {
         hard: { items: 8, speed: 400, startLength: 4 }
     },
 
+    // Attempts allowed at each length
+    STRIKES: 2,
+
     // Colors for sequence items
     colors: [
         '#ef4444', // red
@@ -23,61 +33,80 @@ const SequenceRecall = {
         '#ec4899'  // pink
     ],
 
+    // Option rows and their defaults; the rows sit in one wrapper
+    options: { direction: 'forward', layout: 'colors' },
+    optionRows: ['options'],
+
     // Game state
     sequence: [],
     userInput: [],
     level: 1,
+    length: 2,
+    strikes: 0,
+    span: 0,
     score: 0,
-    difficulty: 'easy',
-    isPlaying: false,
+    items: 4,
+    startLength: 2,
     isShowingSequence: false,
+    canInput: false,
+    lastInputAt: null,
 
     /**
-     * Start a new game
+     * Reset state for a new game
      */
-    start() {
-        // Get selected difficulty
-        const activeBtn = document.querySelector('#sequence-recall-game .diff-btn.active');
-        this.difficulty = activeBtn ? activeBtn.dataset.diff : 'easy';
+    reset() {
+        const config = this.getConfig();
+        this.items = config.items;
+        this.startLength = config.startLength;
 
-        // Reset state
         this.sequence = [];
         this.userInput = [];
         this.level = 1;
+        this.length = this.startLength;
+        this.strikes = 0;
+        this.span = 0;
         this.score = 0;
-        this.isPlaying = true;
-
-        // Hide elements
-        document.getElementById('sr-message').style.display = 'none';
-        document.getElementById('sr-start').style.display = 'none';
-        document.getElementById('sr-difficulty').style.display = 'none';
+        this.isShowingSequence = false;
 
         // Update best score
         const best = Storage.getBestScore('sequence-recall', this.difficulty);
         document.getElementById('sr-best').textContent = best;
 
-        // Create buttons
-        this.createButtons();
-
-        // Update UI
-        this.updateUI();
+        // Create buttons or blocks
+        if (this.layout === 'corsi') {
+            this.createBlocks();
+        } else {
+            this.createButtons();
+        }
+    },
 
-        // Start first round
+    /**
+     * Start the first round
+     */
+    play() {
         this.nextRound();
     },
 
+    /**
+     * Take the pause out of the response time
+     * @param {number} pausedFor - Length of the pause in ms
+     */
+    onResume(pausedFor) {
+        this.lastInputAt += pausedFor;
+    },
+
     /**
      * Create input buttons
      */
     createButtons() {
         const display = document.getElementById('sr-display');
         const input = document.getElementById('sr-input');
-        const config = this.config[this.difficulty];
 
         display.innerHTML = '';
+        display.className = 'sequence-display';
         input.innerHTML = '';
 
-        for (let i = 0; i < config.items; i++) {
+        for (let i = 0; i < this.items; i++) {
             // Display item
             const displayItem = document.createElement('div');
             displayItem.className = 'sequence-item';
@@ -97,21 +126,66 @@ const SequenceRecall = {
     },
 
     /**
-     * Start next round
+     * Scatter identical blocks across the board (Corsi layout); the blocks
+     * show the sequence and take the answers
      */
-    nextRound() {
-        this.userInput = [];
-        const config = this.config[this.difficulty];
+    createBlocks() {
+        const display = document.getElementById('sr-display');
+        display.innerHTML = '';
+        display.className = 'sequence-display corsi-board';
+        document.getElementById('sr-input').innerHTML = '';
+
+        // One block per cell of a 4x4 grid, jittered inside the cell so they never overlap
+        const cells = Random.shuffle([...Array(16).keys()]).slice(0, this.items);
+
+        cells.forEach((cell, i) => {
+            const block = document.createElement('button');
+            block.className = 'sequence-item corsi-block';
+            block.id = `sr-item-${i}`;
+            block.style.left = `${(cell % 4) * 25 + 2 + Random.next() * 8}%`;
+            block.style.top = `${Math.floor(cell / 4) * 25 + 2 + Random.next() * 8}%`;
+            block.addEventListener('click', () => this.handleInput(i));
+            display.appendChild(block);
+        });
+    },
+
+    /**
+     * Make a fresh sequence of the current length. Items never repeat
+     * back to back, and Corsi sequences don't revisit a block while
+     * there are unused blocks left.
+     */
+    makeSequence() {
+        const sequence = [];
 
-        // Add to sequence
-        const newItem = Math.floor(Math.random() * config.items);
-        this.sequence.push(newItem);
+        while (sequence.length < this.length) {
+            const previous = sequence[sequence.length - 1];
+            const unused = [...Array(this.items).keys()].filter(i => !sequence.includes(i));
+            const choices = this.layout === 'corsi' && unused.length > 0
+                ? unused
+                : [...Array(this.items).keys()].filter(i => i !== previous);
 
-        // Ensure minimum length
-        while (this.sequence.length < config.startLength) {
-            this.sequence.push(Math.floor(Math.random() * config.items));
+            sequence.push(Random.pick(choices));
         }
 
+        return sequence;
+    },
+
+    /**
+     * The order the player has to enter the sequence in
+     * @returns {Array} Item indexes
+     */
+    getExpected() {
+        return this.direction === 'backward' ? [...this.sequence].reverse() : this.sequence;
+    },
+
+    /**
+     * Start next round
+     */
+    nextRound() {
+        this.userInput = [];
+        this.canInput = false;
+        this.sequence = this.makeSequence();
+
         // Update UI
         this.updateUI();
 
@@ -120,7 +194,7 @@ const SequenceRecall = {
         document.getElementById('sr-input').style.display = 'none';
 
         // Play sequence
-        setTimeout(() => this.playSequence(), 500);
+        this.schedule(() => this.playSequence(), 500);
     },
 
     /**
@@ -128,41 +202,46 @@ const SequenceRecall = {
      */
     playSequence() {
         this.isShowingSequence = true;
-        const config = this.config[this.difficulty];
-
-        let i = 0;
-        const interval = setInterval(() => {
-            // Clear previous highlight
-            document.querySelectorAll('.sequence-item').forEach(item => {
-                item.classList.remove('highlight');
-            });
-
-            if (i < this.sequence.length) {
-                // Highlight current item
-                const item = document.getElementById(`sr-item-${this.sequence[i]}`);
-                item.classList.add('highlight');
-                i++;
-            } else {
-                // Sequence complete
-                clearInterval(interval);
-                this.isShowingSequence = false;
-
-                document.querySelectorAll('.sequence-item').forEach(item => {
-                    item.classList.remove('highlight');
-                });
-
-                // Show input
-                document.getElementById('sr-instruction').textContent = 'Your turn! Repeat the sequence.';
-                document.getElementById('sr-input').style.display = 'flex';
-            }
-        }, config.speed);
+        this.schedule(() => this.showItem(0), this.getConfig().speed);
+    },
+
+    /**
+     * Show one step of the sequence, then the next, then hand over to the player
+     * @param {number} i - Position in the sequence
+     */
+    showItem(i) {
+        // Clear previous highlight
+        document.querySelectorAll('.sequence-item').forEach(item => {
+            item.classList.remove('highlight');
+        });
+
+        if (i < this.sequence.length) {
+            // Highlight current item
+            const item = document.getElementById(`sr-item-${this.sequence[i]}`);
+            item.classList.add('highlight');
+            this.schedule(() => this.showItem(i + 1), this.getConfig().speed);
+            return;
+        }
+
+        // Sequence complete
+        this.isShowingSequence = false;
+
+        // Show input
+        document.getElementById('sr-instruction').textContent = this.direction === 'backward'
+            ? 'Your turn! Repeat it in reverse order.'
+            : 'Your turn! Repeat the sequence.';
+        if (this.layout !== 'corsi') {
+            document.getElementById('sr-input').style.display = 'flex';
+        }
+        this.canInput = true;
+        this.lastInputAt = Date.now();
     },
 
     /**
      * Handle user input
      */
     handleInput(index) {
-        if (this.isShowingSequence || !this.isPlaying) return;
+        if (this.isShowingSequence || !this.isPlaying || this.isPaused || !this.canInput) return;
 
         this.userInput.push(index);
 
@@ -172,69 +251,114 @@ const SequenceRecall = {
         setTimeout(() => item.classList.remove('highlight'), 200);
 
         // Check input
+        const expected = this.getExpected();
         const currentIndex = this.userInput.length - 1;
-
-        if (this.userInput[currentIndex] !== this.sequence[currentIndex]) {
+        const isCorrect = this.userInput[currentIndex] === expected[currentIndex];
+
+        // Log the response (rt is measured from the previous response or the prompt)
+        const now = Date.now();
+        this.trials.push({
+            trial: this.level,
+            stimulus: [...this.sequence],
+            length: this.length,
+            position: currentIndex,
+            expected: expected[currentIndex],
+            response: index,
+            correct: isCorrect,
+            rt: now - this.lastInputAt
+        });
+        this.lastInputAt = now;
+
+        if (!isCorrect) {
             // Wrong!
-            this.endGame(false);
+            Sound.play('incorrect');
+            this.recordAdaptive(false);
+
+            this.level++;
+            this.strikes++;
+            this.canInput = false;
+            document.getElementById('sr-input').style.display = 'none';
+
+            if (this.strikes >= this.STRIKES) {
+                this.endGame();
+                return;
+            }
+
+            // Second chance at the same length
+            document.getElementById('sr-instruction').textContent = 'Not quite! Another try at this length...';
+            this.schedule(() => this.nextRound(), 1200);
             return;
         }
 
         // Check if sequence complete
         if (this.userInput.length === this.sequence.length) {
             // Correct!
+            this.canInput = false;
+            Sound.play('correct');
+            this.recordAdaptive(true);
+
             this.level++;
-            this.score += this.sequence.length * 10 * this.getDifficultyMultiplier();
+            this.span = this.length;
+            this.score += this.length * 10 * this.getDifficultyMultiplier();
+
+            // Move up a length with fresh strikes
+            this.length++;
+            this.strikes = 0;
             this.updateUI();
 
             document.getElementById('sr-instruction').textContent = 'Correct! Get ready...';
             document.getElementById('sr-input').style.display = 'none';
 
             // Next round
-            setTimeout(() => this.nextRound(), 1000);
+            this.schedule(() => this.nextRound(), 1000);
         }
     },
 
     /**
-     * Get difficulty multiplier
+     * Get difficulty multiplier (backward recall is worth more)
      */
     getDifficultyMultiplier() {
-        const multipliers = { easy: 1, medium: 1.5, hard: 2 };
-        return multipliers[this.difficulty];
+        const directionBonus = this.direction === 'backward' ? 1.5 : 1;
+        return GameEngine.base.getDifficultyMultiplier.call(this) * directionBonus;
     },
 
     /**
      * Update UI
      */
     updateUI() {
-        document.getElementById('sr-level').textContent = this.level;
+        document.getElementById('sr-level').textContent = this.length;
         document.getElementById('sr-score').textContent = Math.round(this.score);
     },
 
     /**
      * End the game
      */
-    endGame(success) {
-        this.isPlaying = false;
-
-        // Final score
-        const finalScore = Math.round(this.score);
+    endGame() {
+        document.getElementById('sr-input').style.display = 'none';
+        document.getElementById('sr-instruction').textContent = '';
 
-        // Save score
-        Storage.saveScore('sequence-recall', finalScore, this.difficulty);
+        const spanName = [
+            this.direction === 'backward' ? 'Backward' : 'Forward',
+            this.layout === 'corsi' ? 'Corsi' : null,
+            'span'
+        ].filter(Boolean).join(' ');
+
+        this.finish({
+            score: Math.round(this.score),
+            session: {
+                direction: this.direction,
+                layout: this.layout,
+                span: this.span,
+                finalLength: this.length
+            },
+            title: 'Game Over',
+            stats: this.span > 0
+                ? `${spanName}: ${this.span} items`
+                : `${spanName}: below ${this.startLength} items - try an easier level`
+        });
 
         // Update best
         const best = Storage.getBestScore('sequence-recall', this.difficulty);
         document.getElementById('sr-best').textContent = best;
-
-        // Show message
-        document.getElementById('sr-result-title').textContent = success ? 'Amazing!' : 'Game Over';
-        document.getElementById('sr-final-score').textContent = finalScore;
-        document.getElementById('sr-stats').textContent = `You reached level ${this.level} with a sequence of ${this.sequence.length} items`;
-
-        document.getElementById('sr-message').style.display = 'block';
-        document.getElementById('sr-input').style.display = 'none';
-        document.getElementById('sr-instruction').textContent = '';
-        document.getElementById('sr-difficulty').style.display = 'flex';
     }
-};
+});
@@ -1,10 +1,17 @@
 /**
  * Stroop Test Game
- * Name the color of the text, not the word itself
+ * Name the color of the text, not the word itself. Variants:
+ *   classic   - respond to the ink colour of a colour word
+ *   emotional - respond to the ink colour of emotional or neutral words
+ *   reverse   - read the word and ignore its ink colour
+ *   spatial   - respond to where a direction word appears, not what it says
  * Trains focus, inhibition control, and attention
  */
 
-const StroopTest = {
+const StroopTest = GameEngine.register({
+    id: 'stroop-test',
+    prefix: 'st',
+
     // Configuration per difficulty
     config: {
         easy: { time: 45, congruent: 0.5 },      // 50% matching word/color
@@ -20,75 +27,152 @@ const StroopTest = {
         { name: 'Yellow', hex: '#eab308' }
     ],
 
+    // Direction words and positions for the spatial variant
+    directions: [
+        { name: 'Up', arrow: '↑', key: 'ArrowUp' },
+        { name: 'Down', arrow: '↓', key: 'ArrowDown' },
+        { name: 'Left', arrow: '←', key: 'ArrowLeft' },
+        { name: 'Right', arrow: '→', key: 'ArrowRight' }
+    ],
+
+    // Words for the emotional variant, matched roughly for length
+    words: {
+        emotional: ['Fear', 'Anger', 'Grief', 'Panic', 'Dread', 'Shame'],
+        neutral: ['Table', 'Chair', 'Paper', 'Plate', 'Shelf', 'Spoon']
+    },
+
+    // Task variants: what to respond to and which two conditions give the interference score
+    variants: {
+        classic: {
+            instruction: 'Pick the <strong>COLOR</strong> of the text, not the word!',
+            conditions: ['congruent', 'incongruent']
+        },
+        emotional: {
+            instruction: 'Pick the <strong>COLOR</strong> of the text and ignore what the word means',
+            conditions: ['neutral', 'emotional']
+        },
+        reverse: {
+            instruction: 'Read the <strong>WORD</strong> and ignore its color!',
+            conditions: ['congruent', 'incongruent']
+        },
+        spatial: {
+            instruction: 'Pick <strong>WHERE</strong> the word is, not what it says!',
+            conditions: ['congruent', 'incongruent']
+        }
+    },
+
+    // Result labels for each condition
+    conditionLabels: {
+        congruent: 'Matching',
+        incongruent: 'Mismatching',
+        neutral: 'Neutral words',
+        emotional: 'Emotional words'
+    },
+
+    // Option rows and their defaults
+    options: { variant: 'classic' },
+
+    // Score multiplier per difficulty
+    multipliers: { easy: 1, medium: 1.5, hard: 2.5 },
+
     // Game state
-    currentColor: null,
+    currentAnswer: null,
+    currentTrial: null,
+    stimulusShownAt: null,
     correct: 0,
     incorrect: 0,
     round: 0,
     totalRounds: 20,
-    timer: null,
-    timeLeft: 30,
-    difficulty: 'easy',
-    isPlaying: false,
 
     /**
-     * Start a new game
+     * Reset state for a new game
      */
-    start() {
-        // Get difficulty
-        const activeBtn = document.querySelector('#stroop-test-game .diff-btn.active');
-        this.difficulty = activeBtn ? activeBtn.dataset.diff : 'easy';
-
-        // Reset state
+    reset() {
         this.correct = 0;
         this.incorrect = 0;
         this.round = 0;
-        this.timeLeft = this.config[this.difficulty].time;
-        this.isPlaying = true;
-
-        // Clear timer
-        if (this.timer) clearInterval(this.timer);
-
-        // Hide elements
-        document.getElementById('st-message').style.display = 'none';
-        document.getElementById('st-start').style.display = 'none';
-        document.getElementById('st-difficulty').style.display = 'none';
+        this.timeLeft = this.getConfig().time;
+        this.currentTrial = null;
 
-        // Setup buttons
+        document.getElementById('st-instruction').innerHTML = this.variants[this.variant].instruction;
         this.setupButtons();
+    },
 
-        // Update UI
-        this.updateUI();
-
-        // Generate first challenge
+    /**
+     * Show the first challenge and start the clock
+     */
+    play() {
         this.nextChallenge();
+        this.startClock(this.getConfig().time);
+    },
+
+    /**
+     * Take the pause out of the response time
+     * @param {number} pausedFor - Length of the pause in ms
+     */
+    onResume(pausedFor) {
+        this.stimulusShownAt += pausedFor;
+    },
 
-        // Start timer
-        this.timer = setInterval(() => {
-            this.timeLeft--;
-            document.getElementById('st-time').textContent = this.timeLeft;
+    /**
+     * Get the answer options for the current variant
+     * @returns {Array} [{ name, key, label, background }]
+     */
+    getOptions() {
+        if (this.variant === 'spatial') {
+            return this.directions.map(direction => ({
+                name: direction.name,
+                key: direction.key,
+                label: `${direction.arrow} ${direction.name}`,
+                background: 'var(--bg-card)'
+            }));
+        }
 
-            if (this.timeLeft <= 0) {
-                this.endGame();
-            }
-        }, 1000);
+        const keys = Storage.getSetting('stroopKeys');
+        return this.colors.map(color => ({
+            name: color.name,
+            key: keys[color.name],
+            label: `${color.name} (${keys[color.name].toUpperCase()})`,
+            background: color.hex
+        }));
     },
 
     /**
-     * Setup color buttons
+     * Setup answer buttons and keyboard bindings
      */
     setupButtons() {
         const options = document.getElementById('st-options');
         options.innerHTML = '';
 
-        this.colors.forEach(color => {
+        const answers = this.getOptions();
+        answers.forEach(option => {
             const btn = document.createElement('button');
             btn.className = 'stroop-btn';
-            btn.style.backgroundColor = color.hex;
-            btn.textContent = color.name;
-            btn.addEventListener('click', () => this.handleAnswer(color.name));
+            btn.style.background = option.background;
+            btn.textContent = option.label;
+            btn.addEventListener('click', () => this.handleAnswer(option.name));
             options.appendChild(btn);
         });
+
+        // Keyboard support
+        this.onKey((e) => {
+            const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+            const option = answers.find(o => o.key === key);
+            if (!option) return;
+            e.preventDefault();
+            this.handleAnswer(option.name);
+        });
+    },
+
+    /**
+     * Pick a random item from a list
+     * @param {Array} items - List to pick from
+     * @param {*} exclude - Item to avoid
+     * @returns {*} Item
+     */
+    pick(items, exclude) {
+        const choices = items.filter(item => item !== exclude);
+        return Random.pick(choices);
     },
 
     /**
@@ -103,33 +187,55 @@ const StroopTest = {
             return;
         }
 
-        const config = this.config[this.difficulty];
-
-        // Decide if congruent (word matches color) or incongruent
-        const isCongruent = Math.random() < config.congruent;
-
-        // Pick random word and color
-        const wordIndex = Math.floor(Math.random() * this.colors.length);
-        let colorIndex;
-
-        if (isCongruent) {
-            colorIndex = wordIndex;
+        const config = this.getConfig();
+        const display = document.getElementById('st-display');
+        display.className = 'stroop-display';
+
+        this.currentTrial = { trial: this.round };
+
+        if (this.variant === 'spatial') {
+            // A direction word placed at a position; congruent when they agree
+            const isCongruent = Random.next() < config.congruent;
+            const position = this.pick(this.directions);
+            const word = isCongruent ? position : this.pick(this.directions, position);
+
+            this.currentAnswer = position.name;
+            this.currentTrial.stimulus = { word: word.name, position: position.name };
+            this.currentTrial.congruent = isCongruent;
+            this.currentTrial.condition = isCongruent ? 'congruent' : 'incongruent';
+
+            display.textContent = word.name.toUpperCase();
+            display.style.color = 'var(--text-primary)';
+            display.classList.add('spatial', `pos-${position.name.toLowerCase()}`);
+        } else if (this.variant === 'emotional') {
+            // Emotional and neutral words equally often, in a random ink colour
+            const valence = Random.next() < 0.5 ? 'emotional' : 'neutral';
+            const word = this.pick(this.words[valence]);
+            const color = this.pick(this.colors);
+
+            this.currentAnswer = color.name;
+            this.currentTrial.stimulus = { word: word, color: color.name };
+            this.currentTrial.condition = valence;
+
+            display.textContent = word.toUpperCase();
+            display.style.color = color.hex;
         } else {
-            // Pick a different color
-            do {
-                colorIndex = Math.floor(Math.random() * this.colors.length);
-            } while (colorIndex === wordIndex);
+            // Decide if congruent (word matches color) or incongruent
+            const isCongruent = Random.next() < config.congruent;
+            const word = this.pick(this.colors);
+            const color = isCongruent ? word : this.pick(this.colors, word);
+
+            // Classic answers the ink colour, reverse the word
+            this.currentAnswer = this.variant === 'reverse' ? word.name : color.name;
+            this.currentTrial.stimulus = { word: word.name, color: color.name };
+            this.currentTrial.congruent = isCongruent;
+            this.currentTrial.condition = isCongruent ? 'congruent' : 'incongruent';
+
+            display.textContent = word.name.toUpperCase();
+            display.style.color = color.hex;
         }
 
-        const word = this.colors[wordIndex].name;
-        const color = this.colors[colorIndex];
-
-        this.currentColor = color.name;
-
-        // Update display
-        const display = document.getElementById('st-display');
-        display.textContent = word.toUpperCase();
-        display.style.color = color.hex;
+        this.stimulusShownAt = Date.now();
 
         this.updateUI();
     },
@@ -137,17 +243,30 @@ const StroopTest = {
     /**
      * Handle user answer
      */
-    handleAnswer(colorName) {
-        if (!this.isPlaying) return;
+    handleAnswer(answer) {
+        if (!this.isPlaying || this.isPaused) return;
 
         const display = document.getElementById('st-display');
+        const isCorrect = answer === this.currentAnswer;
+
+        // Log the trial
+        this.trials.push({
+            ...this.currentTrial,
+            response: answer,
+            correct: isCorrect,
+            rt: Date.now() - this.stimulusShownAt
+        });
+
+        this.recordAdaptive(isCorrect);
 
-        if (colorName === this.currentColor) {
+        if (isCorrect) {
             // Correct!
+            Sound.play('correct');
             this.correct++;
             display.classList.add('correct-flash');
         } else {
             // Incorrect
+            Sound.play('incorrect');
             this.incorrect++;
             display.classList.add('incorrect-flash');
         }
@@ -161,6 +280,36 @@ const StroopTest = {
         this.nextChallenge();
     },
 
+    /**
+     * Median of a list of numbers
+     * @param {Array} values - Numbers
+     * @returns {number|null} Median, or null for an empty list
+     */
+    median(values) {
+        if (values.length === 0) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    },
+
+    /**
+     * Accuracy and median correct RT for one condition
+     * @param {string} condition - 'congruent', 'incongruent', 'neutral' or 'emotional'
+     * @returns {Object} { trials, accuracy (0-1 or null), medianRT (ms or null) }
+     */
+    conditionStats(condition) {
+        const trials = this.trials.filter(t => t.condition === condition);
+        const correct = trials.filter(t => t.correct);
+        const medianRT = this.median(correct.map(t => t.rt));
+
+        return {
+            trials: trials.length,
+            accuracy: trials.length > 0 ? correct.length / trials.length : null,
+            medianRT: medianRT === null ? null : Math.round(medianRT)
+        };
+    },
+
     /**
      * Update UI
      */
@@ -174,26 +323,40 @@ const StroopTest = {
      * End the game
      */
     endGame() {
-        this.isPlaying = false;
-        clearInterval(this.timer);
+        Sound.play('complete');
 
         // Calculate score
         const baseScore = this.correct * 50;
         const accuracy = this.correct / (this.correct + this.incorrect) || 0;
         const accuracyBonus = Math.round(accuracy * 200);
-        const difficultyMultiplier = { easy: 1, medium: 1.5, hard: 2.5 };
-
-        const score = Math.round((baseScore + accuracyBonus) * difficultyMultiplier[this.difficulty]);
-
-        // Save score
-        Storage.saveScore('stroop-test', score, this.difficulty);
-
-        // Show results
-        document.getElementById('st-final-score').textContent = score;
-        document.getElementById('st-stats').textContent =
-            `${this.correct} correct, ${this.incorrect} incorrect (${Math.round(accuracy * 100)}% accuracy)`;
-
-        document.getElementById('st-message').style.display = 'block';
-        document.getElementById('st-difficulty').style.display = 'flex';
+        const score = Math.round((baseScore + accuracyBonus) * this.getDifficultyMultiplier());
+
+        // Interference: how much slower the conflict condition is than the baseline
+        const [baselineName, conflictName] = this.variants[this.variant].conditions;
+        const baseline = this.conditionStats(baselineName);
+        const conflict = this.conditionStats(conflictName);
+        const interference = baseline.medianRT === null || conflict.medianRT === null
+            ? null
+            : conflict.medianRT - baseline.medianRT;
+
+        const describe = (label, stats) => stats.trials === 0
+            ? `${label}: no trials`
+            : `${label}: ${Math.round(stats.accuracy * 100)}% correct, median ${stats.medianRT === null ? 'n/a' : stats.medianRT + 'ms'}`;
+
+        this.finish({
+            score: score,
+            session: {
+                variant: this.variant,
+                [baselineName]: baseline,
+                [conflictName]: conflict,
+                interference: interference
+            },
+            stats: [
+                `${this.correct} correct, ${this.incorrect} incorrect (${Math.round(accuracy * 100)}% accuracy)`,
+                describe(this.conditionLabels[baselineName], baseline),
+                describe(this.conditionLabels[conflictName], conflict),
+                `Interference: ${interference === null ? 'n/a' : (interference > 0 ? '+' : '') + interference + 'ms'}`
+            ]
+        });
     }
-};
+});
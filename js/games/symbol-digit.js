@@ -0,0 +1,206 @@
+/**
+ * Symbol Digit Game
+ * Use the key to type the digit that goes with each symbol, as fast as possible
+ * Trains processing speed (after the Digit Symbol Substitution Test)
+ */
+
+const SymbolDigit = GameEngine.register({
+    id: 'symbol-digit',
+    prefix: 'sd',
+
+    // Configuration per difficulty: symbols in the key and time limit (seconds)
+    config: {
+        easy: { symbols: 6, time: 60 },
+        medium: { symbols: 9, time: 60 },
+        hard: { symbols: 9, time: 45 }
+    },
+
+    // Symbols that can appear in the key
+    symbolSet: ['◆', '▲', '●', '■', '★', '✚', '◐', '♥', '☾'],
+
+    // Game state
+    key: [],
+    currentSymbol: null,
+    currentDigit: null,
+    correct: 0,
+    incorrect: 0,
+    round: 0,
+    stimulusShownAt: null,
+
+    /**
+     * Reset state and build a fresh key and digit pad (set between games in adaptive mode)
+     */
+    reset() {
+        const config = this.getConfig();
+
+        this.correct = 0;
+        this.incorrect = 0;
+        this.round = 0;
+        this.currentSymbol = null;
+        this.timeLeft = config.time;
+
+        this.buildKey(config.symbols);
+        this.setupInput();
+    },
+
+    /**
+     * Show the first symbol and start the clock
+     */
+    play() {
+        this.nextSymbol();
+        this.startClock(this.getConfig().time);
+    },
+
+    /**
+     * Take the pause out of the response time
+     * @param {number} pausedFor - Length of the pause in ms
+     */
+    onResume(pausedFor) {
+        this.stimulusShownAt += pausedFor;
+    },
+
+    /**
+     * Pair a random choice of symbols with the digits 1 to count and show the key
+     * @param {number} count - Number of symbols
+     */
+    buildKey(count) {
+        const symbols = Random.shuffle([...this.symbolSet]).slice(0, count);
+        this.key = symbols.map((symbol, i) => ({ symbol: symbol, digit: i + 1 }));
+
+        const keyEl = document.getElementById('sd-key');
+        keyEl.innerHTML = this.key.map(item => `
+            <div class="symbol-key-item">
+                <span class="symbol">${item.symbol}</span>
+                <span class="digit">${item.digit}</span>
+            </div>
+        `).join('');
+        keyEl.style.display = 'flex';
+    },
+
+    /**
+     * Setup digit buttons and keyboard input
+     */
+    setupInput() {
+        const pad = document.getElementById('sd-pad');
+        pad.innerHTML = '';
+
+        for (const item of this.key) {
+            const btn = document.createElement('button');
+            btn.className = 'digit-btn';
+            btn.textContent = item.digit;
+            btn.addEventListener('click', () => this.handleAnswer(item.digit));
+            pad.appendChild(btn);
+        }
+        pad.style.display = 'flex';
+
+        // Keyboard support (number row and keypad)
+        this.onKey((e) => {
+            const digit = parseInt(e.key, 10);
+            if (digit >= 1 && digit <= this.key.length) this.handleAnswer(digit);
+        });
+    },
+
+    /**
+     * Show the next symbol (never the same one twice in a row)
+     */
+    nextSymbol() {
+        if (!this.isPlaying) return;
+
+        this.round++;
+
+        let item;
+        do {
+            item = Random.pick(this.key);
+        } while (item.symbol === this.currentSymbol);
+
+        this.currentSymbol = item.symbol;
+        this.currentDigit = item.digit;
+
+        document.getElementById('sd-symbol').textContent = item.symbol;
+        this.stimulusShownAt = Date.now();
+    },
+
+    /**
+     * Handle user answer
+     */
+    handleAnswer(digit) {
+        if (!this.isPlaying || this.isPaused) return;
+
+        const display = document.getElementById('sd-symbol');
+        const isCorrect = digit === this.currentDigit;
+
+        // Log the trial
+        this.trials.push({
+            trial: this.round,
+            stimulus: this.currentSymbol,
+            expected: this.currentDigit,
+            response: digit,
+            correct: isCorrect,
+            rt: Date.now() - this.stimulusShownAt
+        });
+
+        if (isCorrect) {
+            // Correct!
+            Sound.play('correct');
+            this.correct++;
+            display.classList.add('correct-flash');
+        } else {
+            // Incorrect
+            Sound.play('incorrect');
+            this.incorrect++;
+            display.classList.add('incorrect-flash');
+        }
+
+        // Remove animation class after animation
+        setTimeout(() => {
+            display.classList.remove('correct-flash', 'incorrect-flash');
+        }, 300);
+
+        this.updateUI();
+        this.nextSymbol();
+    },
+
+    /**
+     * Update UI
+     */
+    updateUI() {
+        document.getElementById('sd-correct').textContent = this.correct;
+        document.getElementById('sd-incorrect').textContent = this.incorrect;
+        document.getElementById('sd-time').textContent = this.timeLeft;
+    },
+
+    /**
+     * End the game
+     */
+    endGame() {
+        Sound.play('complete');
+
+        const accuracy = this.correct / (this.correct + this.incorrect) || 0;
+
+        // Calculate score (errors cost half a correct answer)
+        const score = Math.max(0, Math.round((this.correct * 20 - this.incorrect * 10) * this.getDifficultyMultiplier()));
+
+        const correctRTs = this.trials.filter(t => t.correct).map(t => t.rt);
+        const avgTime = correctRTs.length > 0
+            ? Math.round(correctRTs.reduce((a, b) => a + b, 0) / correctRTs.length)
+            : 0;
+
+        this.finish({
+            score: score,
+            session: {
+                symbols: this.key.length
+            },
+            stats: [
+                `${this.correct} correct, ${this.incorrect} incorrect (${Math.round(accuracy * 100)}% accuracy)`,
+                `Avg time per symbol: ${avgTime}ms`
+            ]
+        });
+
+        // One adaptive trial per game: a pass is 90% accuracy or better
+        this.recordAdaptive(accuracy >= 0.9);
+
+        document.getElementById('sd-symbol').textContent = '';
+        document.getElementById('sd-key').style.display = 'none';
+        document.getElementById('sd-pad').style.display = 'none';
+    }
+});
@@ -0,0 +1,336 @@
+/**
+ * Task Switching Game
+ * Judge digits by parity or magnitude, with the task cued by colour.
+ * Single-task blocks come first, then a mixed block where the task can
+ * change between trials. Reaction times give two costs:
+ *   switch cost - switch trials vs. repeat trials in the mixed block
+ *   mixing cost - repeat trials in the mixed block vs. single-task blocks
+ * Trains cognitive flexibility (executive function)
+ */
+
+const TaskSwitching = GameEngine.register({
+    id: 'task-switching',
+    prefix: 'ts',
+
+    // Configuration per difficulty: time between cue and digit (ms) and
+    // chance that a mixed-block trial switches task
+    config: {
+        easy: { cueInterval: 800, switchRate: 0.25, singleTrials: 8, mixedTrials: 24 },
+        medium: { cueInterval: 400, switchRate: 0.4, singleTrials: 8, mixedTrials: 24 },
+        hard: { cueInterval: 100, switchRate: 0.5, singleTrials: 8, mixedTrials: 24 }
+    },
+
+    // Tasks, their cue colour and what the left and right answers mean
+    taskTypes: {
+        parity: {
+            color: '#3b82f6',
+            cue: 'Odd or Even?',
+            labels: { left: 'Odd', right: 'Even' },
+            answer: digit => digit % 2 === 1 ? 'left' : 'right'
+        },
+        magnitude: {
+            color: '#f97316',
+            cue: 'Lower or Higher than 5?',
+            labels: { left: 'Lower', right: 'Higher' },
+            answer: digit => digit < 5 ? 'left' : 'right'
+        }
+    },
+
+    // Digits shown (5 is neither lower nor higher)
+    digits: [1, 2, 3, 4, 6, 7, 8, 9],
+
+    // Pause after each answer before the next cue (ms)
+    FEEDBACK_TIME: 300,
+
+    // Score multiplier per difficulty
+    multipliers: { easy: 1, medium: 1.5, hard: 2.5 },
+
+    // Game state
+    blocks: [],
+    blockIndex: 0,
+    blockTrial: 0,
+    round: 0,
+    totalRounds: 0,
+    currentTask: null,
+    previousTask: null,
+    currentTrial: null,
+    correct: 0,
+    incorrect: 0,
+    canAnswer: false,
+    stimulusShownAt: null,
+
+    /**
+     * Reset state for a new game
+     */
+    reset() {
+        // Single-task blocks for each task, then the mixed block
+        const config = this.getConfig();
+        this.blocks = [
+            { type: 'single', task: 'parity', trials: config.singleTrials },
+            { type: 'single', task: 'magnitude', trials: config.singleTrials },
+            { type: 'mixed', task: null, trials: config.mixedTrials }
+        ];
+
+        this.blockIndex = 0;
+        this.blockTrial = 0;
+        this.round = 0;
+        this.totalRounds = this.blocks.reduce((sum, block) => sum + block.trials, 0);
+        this.currentTask = null;
+        this.previousTask = null;
+        this.currentTrial = null;
+        this.correct = 0;
+        this.incorrect = 0;
+        this.canAnswer = false;
+
+        // Show game elements
+        document.getElementById('ts-display').style.visibility = 'visible';
+        document.getElementById('ts-options').style.display = 'flex';
+
+        this.setupButtons();
+    },
+
+    /**
+     * Start the first block
+     */
+    play() {
+        this.announceBlock();
+    },
+
+    /**
+     * Take the pause out of the response time
+     * @param {number} pausedFor - Length of the pause in ms
+     */
+    onResume(pausedFor) {
+        this.stimulusShownAt += pausedFor;
+    },
+
+    /**
+     * Setup answer buttons
+     */
+    setupButtons() {
+        const leftBtn = document.getElementById('ts-left-btn');
+        const rightBtn = document.getElementById('ts-right-btn');
+
+        // Remove old listeners by cloning
+        const newLeftBtn = leftBtn.cloneNode(true);
+        const newRightBtn = rightBtn.cloneNode(true);
+        leftBtn.parentNode.replaceChild(newLeftBtn, leftBtn);
+        rightBtn.parentNode.replaceChild(newRightBtn, rightBtn);
+
+        // Add new listeners
+        newLeftBtn.addEventListener('click', () => this.handleAnswer('left'));
+        newRightBtn.addEventListener('click', () => this.handleAnswer('right'));
+
+        // Keyboard support
+        this.onKey((e) => {
+            if (e.key === 'ArrowLeft') this.handleAnswer('left');
+            if (e.key === 'ArrowRight') this.handleAnswer('right');
+        });
+    },
+
+    /**
+     * Show what the next block asks for, then begin it
+     */
+    announceBlock() {
+        const block = this.blocks[this.blockIndex];
+        const display = document.getElementById('ts-display');
+
+        this.previousTask = null;
+        this.blockTrial = 0;
+        this.canAnswer = false;
+
+        display.style.borderColor = 'transparent';
+        document.getElementById('ts-digit').textContent = '';
+        document.getElementById('ts-cue').style.color = '';
+        document.getElementById('ts-cue').textContent = block.type === 'single'
+            ? `Only: ${this.taskTypes[block.task].cue}`
+            : 'Mixed: follow the colour';
+
+        this.schedule(() => this.nextTrial(), 1500);
+    },
+
+    /**
+     * Cue the next trial's task, then show its digit
+     */
+    nextTrial() {
+        if (!this.isPlaying) return;
+
+        const block = this.blocks[this.blockIndex];
+        if (this.blockTrial >= block.trials) {
+            this.blockIndex++;
+            if (this.blockIndex >= this.blocks.length) {
+                this.endGame();
+            } else {
+                this.announceBlock();
+            }
+            return;
+        }
+
+        this.round++;
+        this.blockTrial++;
+        const config = this.getConfig();
+
+        // Pick the task: fixed in single blocks, switching by chance in the mixed block
+        let task = block.task;
+        if (block.type === 'mixed') {
+            const other = this.previousTask === 'parity' ? 'magnitude' : 'parity';
+            task = this.previousTask === null
+                ? (Random.next() < 0.5 ? 'parity' : 'magnitude')
+                : (Random.next() < config.switchRate ? other : this.previousTask);
+        }
+
+        const digit = Random.pick(this.digits);
+        const taskInfo = this.taskTypes[task];
+
+        // The first trial of a block is neither a switch nor a repeat
+        const isSwitch = block.type === 'mixed' && this.previousTask !== null
+            ? task !== this.previousTask
+            : null;
+
+        this.currentTask = task;
+        this.previousTask = task;
+        this.currentTrial = {
+            trial: this.round,
+            block: block.type,
+            blockTrial: this.blockTrial,
+            task: task,
+            stimulus: digit,
+            switch: isSwitch,
+            // Congruent when both tasks would give the same answer
+            congruent: this.taskTypes.parity.answer(digit) === this.taskTypes.magnitude.answer(digit)
+        };
+
+        // Show the cue
+        const display = document.getElementById('ts-display');
+        display.style.borderColor = taskInfo.color;
+        document.getElementById('ts-cue').textContent = taskInfo.cue;
+        document.getElementById('ts-cue').style.color = taskInfo.color;
+        document.getElementById('ts-digit').textContent = '';
+        document.getElementById('ts-left-label').textContent = taskInfo.labels.left;
+        document.getElementById('ts-right-label').textContent = taskInfo.labels.right;
+
+        this.updateUI();
+
+        // Then the digit, after the cue interval
+        this.schedule(() => {
+            document.getElementById('ts-digit').textContent = digit;
+            this.canAnswer = true;
+            this.stimulusShownAt = Date.now();
+        }, config.cueInterval);
+    },
+
+    /**
+     * Handle user answer
+     */
+    handleAnswer(side) {
+        if (!this.isPlaying || this.isPaused || !this.canAnswer) return;
+
+        this.canAnswer = false;
+        const display = document.getElementById('ts-display');
+        const isCorrect = side === this.taskTypes[this.currentTask].answer(this.currentTrial.stimulus);
+
+        // Log the trial
+        this.trials.push({
+            ...this.currentTrial,
+            response: side,
+            correct: isCorrect,
+            rt: Date.now() - this.stimulusShownAt
+        });
+
+        this.recordAdaptive(isCorrect);
+
+        if (isCorrect) {
+            // Correct!
+            Sound.play('correct');
+            this.correct++;
+            display.classList.add('correct-flash');
+        } else {
+            // Incorrect
+            Sound.play('incorrect');
+            this.incorrect++;
+            display.classList.add('incorrect-flash');
+        }
+
+        this.updateUI();
+
+        // Remove animation class, then move on
+        this.schedule(() => {
+            display.classList.remove('correct-flash', 'incorrect-flash');
+            this.nextTrial();
+        }, this.FEEDBACK_TIME);
+    },
+
+    /**
+     * Median of a list of numbers
+     * @param {Array} values - Numbers
+     * @returns {number|null} Median, or null for an empty list
+     */
+    median(values) {
+        if (values.length === 0) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    },
+
+    /**
+     * Compute switch and mixing costs from correct-trial reaction times.
+     * The first trial of each block is left out.
+     * @param {Array} trials - Trial log
+     * @returns {Object} { switchCost, mixingCost } in ms (null when a condition has no trials)
+     */
+    computeCosts(trials) {
+        const rts = filter => this.median(trials.filter(t => t.correct && filter(t)).map(t => t.rt));
+
+        const single = rts(t => t.block === 'single' && t.blockTrial > 1);
+        const repeat = rts(t => t.block === 'mixed' && t.switch === false);
+        const switched = rts(t => t.block === 'mixed' && t.switch === true);
+
+        const difference = (a, b) => a === null || b === null ? null : Math.round(a - b);
+        return {
+            switchCost: difference(switched, repeat),
+            mixingCost: difference(repeat, single)
+        };
+    },
+
+    /**
+     * Update UI
+     */
+    updateUI() {
+        document.getElementById('ts-correct').textContent = this.correct;
+        document.getElementById('ts-round').textContent = `${this.round}/${this.totalRounds}`;
+        document.getElementById('ts-block').textContent = `${Math.min(this.blockIndex + 1, this.blocks.length)}/${this.blocks.length}`;
+    },
+
+    /**
+     * End the game
+     */
+    endGame() {
+        Sound.play('complete');
+        this.canAnswer = false;
+
+        // Calculate score
+        const baseScore = this.correct * 40;
+        const accuracy = this.correct / (this.correct + this.incorrect) || 0;
+        const accuracyBonus = Math.round(accuracy * 200);
+        const score = Math.round((baseScore + accuracyBonus) * this.getDifficultyMultiplier());
+
+        const { switchCost, mixingCost } = this.computeCosts(this.trials);
+        const formatCost = cost => cost === null ? 'n/a' : `${cost}ms`;
+
+        this.finish({
+            score: score,
+            session: {
+                switchCost: switchCost,
+                mixingCost: mixingCost
+            },
+            stats: [
+                `${this.correct} correct, ${this.incorrect} incorrect (${Math.round(accuracy * 100)}% accuracy)`,
+                `Switch cost: ${formatCost(switchCost)}, mixing cost: ${formatCost(mixingCost)}`
+            ]
+        });
+
+        document.getElementById('ts-display').style.visibility = 'hidden';
+        document.getElementById('ts-options').style.display = 'none';
+    }
+});
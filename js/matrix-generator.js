@@ -0,0 +1,424 @@
+/**
+ * CogniTrain - Matrix Generator Module
+ * Builds Raven-style 3x3 matrices for Pattern Puzzle and renders their cells as SVG.
+ *
+ * A cell has four attributes (shape, count, size and rotation) plus a set of
+ * lines drawn across it. A puzzle gives a few attributes a rule each and holds
+ * the rest fixed over the whole matrix:
+ * - constant: the value stays the same along each row
+ * - progression: the value steps up or down by the same amount along each row
+ * - distribution: three values each appear once in every row and column
+ * - xor / union: the third cell's lines are the XOR / union of the first two
+ * Rules are generated along rows; column rules are the same grid transposed.
+ *
+ * Each wrong answer breaks exactly one rule, so no option can be ruled out
+ * at a glance, and every rule has a plain-language description for feedback.
+ *
+ * Every combination of one to three ruled attributes is an item, tagged like
+ * "count:progression+lines:xor", with a prior difficulty for Calibration.
+ */
+
+const MatrixGenerator = {
+    // Attribute domains; cells store indexes into these
+    ATTRIBUTES: {
+        shape: ['triangle', 'square', 'pentagon', 'hexagon', 'circle'],
+        count: [1, 2, 3, 4, 5, 6],
+        size: [0.55, 0.7, 0.85, 1],
+        rotation: [0, 15, 30, 45]
+    },
+
+    // Polygon sides per shape, so shape progressions add a side at a time
+    SIDES: { triangle: 3, square: 4, pentagon: 5, hexagon: 6 },
+
+    // Lines making up the line set, one bit each: horizontal, vertical, two diagonals
+    LINES: [
+        [8, 50, 92, 50],
+        [50, 8, 50, 92],
+        [14, 14, 86, 86],
+        [14, 86, 86, 14]
+    ],
+
+    // Shape centres for each count, and the radius that keeps neighbours apart
+    SLOTS: {
+        1: [[50, 50]],
+        2: [[28, 50], [72, 50]],
+        3: [[50, 28], [28, 72], [72, 72]],
+        4: [[29, 29], [71, 29], [29, 71], [71, 71]],
+        5: [[26, 26], [74, 26], [50, 50], [26, 74], [74, 74]],
+        6: [[22, 32], [50, 32], [78, 32], [22, 68], [50, 68], [78, 68]]
+    },
+    SLOT_RADIUS: { 1: 38, 2: 20, 3: 19, 4: 19, 5: 15, 6: 13 },
+
+    // Rules each attribute can follow
+    RULES: {
+        shape: ['constant', 'progression', 'distribution'],
+        count: ['constant', 'progression', 'distribution'],
+        size: ['constant', 'progression', 'distribution'],
+        rotation: ['constant', 'progression', 'distribution'],
+        lines: ['constant', 'xor', 'union']
+    },
+
+    // Names used when describing rules
+    LABELS: { shape: 'shape', count: 'number of shapes', size: 'size', rotation: 'angle', lines: 'set of lines' },
+
+    // Prior item difficulty in logits: a base plus a weight for each rule
+    PRIOR_BASE: -1.5,
+    RULE_DIFFICULTY: { constant: 0.5, progression: 1, distribution: 1.5, union: 1.5, xor: 2 },
+
+    // Most attributes an item gives rules to
+    MAX_RULES: 3,
+
+    /**
+     * List every item: each set of one to MAX_RULES attributes with a rule for each
+     * @returns {Array} Items: { tag, rules: [{ attribute, rule }], prior }
+     */
+    items() {
+        const items = [];
+        const attributes = Object.keys(this.RULES);
+
+        const extend = (rules, from) => {
+            if (rules.length > 0) {
+                items.push({
+                    tag: this.tag(rules),
+                    rules: rules,
+                    prior: rules.reduce((sum, r) => sum + this.RULE_DIFFICULTY[r.rule], this.PRIOR_BASE)
+                });
+            }
+            if (rules.length === this.MAX_RULES) return;
+
+            for (let i = from; i < attributes.length; i++) {
+                this.RULES[attributes[i]].forEach(rule => {
+                    extend([...rules, { attribute: attributes[i], rule: rule }], i + 1);
+                });
+            }
+        };
+        extend([], 0);
+
+        return items;
+    },
+
+    /**
+     * Name an item by its rules, ignoring their direction
+     * @param {Array} rules - { attribute, rule } pairs
+     * @returns {string} e.g. "count:progression+lines:xor"
+     */
+    tag(rules) {
+        return rules.map(r => `${r.attribute}:${r.rule}`).sort().join('+');
+    },
+
+    /**
+     * Values an attribute may take in a puzzle. Circles are left out when a
+     * shape progression needs sides to count or a rotation rule needs to be seen,
+     * and line rules never use the empty set.
+     * @param {string} attribute - Attribute name
+     * @param {Object} ruled - Rule specs keyed by attribute
+     * @returns {Array} Value indexes (line sets for lines)
+     */
+    domain(attribute, ruled) {
+        if (attribute === 'lines') {
+            return [...Array(2 ** this.LINES.length).keys()].slice(1);
+        }
+
+        const values = [...this.ATTRIBUTES[attribute].keys()];
+        if (attribute === 'shape' && (ruled.rotation || ruled.shape?.rule === 'progression')) {
+            return values.filter(i => this.ATTRIBUTES.shape[i] !== 'circle');
+        }
+        return values;
+    },
+
+    /**
+     * Fill a 3x3 grid of values following a rule along its rows
+     * @param {string} rule - Rule name
+     * @param {Array} domain - Values to draw from
+     * @returns {Object} { grid, params } where params holds what the rule picked (e.g. step)
+     */
+    applyRule(rule, domain) {
+        const rows = [0, 1, 2];
+
+        if (rule === 'constant') {
+            const values = Random.shuffle([...domain]).slice(0, 3);
+            return { grid: rows.map(r => [values[r], values[r], values[r]]), params: {} };
+        }
+
+        if (rule === 'progression') {
+            const steps = domain.length >= 5 ? [1, -1, 2, -2] : [1, -1];
+            const step = Random.pick(steps);
+            const starts = [...domain.keys()].filter(i => i + step * 2 >= 0 && i + step * 2 < domain.length);
+            const grid = rows.map(() => {
+                const start = Random.pick(starts);
+                return [0, 1, 2].map(c => domain[start + step * c]);
+            });
+            return { grid, params: { step } };
+        }
+
+        if (rule === 'distribution') {
+            const values = Random.shuffle([...domain]).slice(0, 3);
+            const shift = Random.pick([1, 2]);
+            return { grid: rows.map(r => [0, 1, 2].map(c => values[(c + shift * r) % 3])), params: {} };
+        }
+
+        // Line set operations: pick two sets that each add something the other lacks
+        const combine = rule === 'xor' ? (a, b) => a ^ b : (a, b) => a | b;
+        const grid = rows.map(() => {
+            let a, b;
+            do {
+                a = Random.pick(domain);
+                b = Random.pick(domain);
+            } while ((a & b) === a || (a & b) === b);
+            return [a, b, combine(a, b)];
+        });
+        return { grid, params: {} };
+    },
+
+    /**
+     * Swap rows and columns of a 3x3 grid
+     * @param {Array} grid - Grid of values
+     * @returns {Array} Transposed grid
+     */
+    transpose(grid) {
+        return grid.map((row, r) => row.map((_, c) => grid[c][r]));
+    },
+
+    /**
+     * Generate a matrix, running each rule along rows or columns at random
+     * @param {Array} spec - { attribute, rule } pairs, e.g. an item's rules
+     * @returns {Object} { cells, answer, rules } with cells in reading order; the answer is cells[8]
+     */
+    generate(spec) {
+        const ruled = Object.fromEntries(spec.map(rule =>
+            [rule.attribute, { ...rule, direction: Random.pick(['row', 'column']) }]));
+        const grids = {};
+        const rules = [];
+
+        [...Object.keys(this.ATTRIBUTES), 'lines'].forEach(attribute => {
+            const domain = this.domain(attribute, ruled);
+            const rule = ruled[attribute];
+
+            if (!rule) {
+                // Unruled attributes hold one value everywhere; no lines, no rotation
+                const value = attribute === 'lines' || attribute === 'rotation' ? 0
+                    : attribute === 'count' ? Random.int(3)
+                    : attribute === 'size' ? 2 + Random.int(2)
+                    : Random.pick(domain);
+                grids[attribute] = [0, 1, 2].map(() => [value, value, value]);
+                return;
+            }
+
+            const { grid, params } = this.applyRule(rule.rule, domain);
+            grids[attribute] = rule.direction === 'column' ? this.transpose(grid) : grid;
+            rules.push({ ...rule, ...params });
+        });
+
+        const cells = [];
+        for (let r = 0; r < 3; r++) {
+            for (let c = 0; c < 3; c++) {
+                const cell = {};
+                Object.keys(grids).forEach(attribute => {
+                    cell[attribute] = grids[attribute][r][c];
+                });
+                cells.push(cell);
+            }
+        }
+
+        return { cells, answer: cells[8], rules };
+    },
+
+    /**
+     * Wrong answers that each break exactly one rule: the answer with one ruled
+     * attribute swapped for a value that rule doesn't produce. Rules take turns
+     * so every rule is tested; fixed attributes are only changed when the rules
+     * run out of values.
+     * @param {Object} puzzle - Puzzle from generate()
+     * @param {number} count - Number of distractors
+     * @returns {Array} Cells, all different from each other and the answer, each
+     *   with a `violates` field naming the attribute it changed
+     */
+    distractors(puzzle, count) {
+        const answer = puzzle.answer;
+        const ruled = Object.fromEntries(puzzle.rules.map(rule => [rule.attribute, rule]));
+
+        const queues = Random.shuffle(puzzle.rules.map(rule =>
+            Random.shuffle(this.ruleBreakers(puzzle, rule)).map(value => ({ attribute: rule.attribute, value }))));
+
+        // Changing a fixed attribute breaks the "same in every cell" rule; rotation can't be seen on a circle
+        const fixed = Object.keys(answer)
+            .filter(attribute => !ruled[attribute])
+            .filter(attribute => attribute !== 'rotation' || this.ATTRIBUTES.shape[answer.shape] !== 'circle');
+        const fallback = Random.shuffle(fixed.flatMap(attribute => this.domain(attribute, ruled)
+            .filter(value => value !== answer[attribute])
+            .map(value => ({ attribute, value }))));
+
+        const keys = new Set([this.key(answer)]);
+        const result = [];
+
+        const take = (change) => {
+            const cell = { ...answer, [change.attribute]: change.value, violates: change.attribute };
+            if (!keys.has(this.key(cell))) {
+                keys.add(this.key(cell));
+                result.push(cell);
+            }
+        };
+
+        while (result.length < count && queues.some(queue => queue.length > 0)) {
+            queues.forEach(queue => {
+                if (queue.length > 0 && result.length < count) take(queue.shift());
+            });
+        }
+        while (result.length < count && fallback.length > 0) {
+            take(fallback.shift());
+        }
+
+        return result;
+    },
+
+    /**
+     * Plausible values that break one rule: values seen elsewhere in the matrix
+     * or next to the right one, and for line rules the other set operations
+     * @param {Object} puzzle - Puzzle from generate()
+     * @param {Object} rule - One of puzzle.rules
+     * @returns {Array} Values for rule.attribute, none of them the answer's
+     */
+    ruleBreakers(puzzle, rule) {
+        const attribute = rule.attribute;
+        const correct = puzzle.answer[attribute];
+        const values = puzzle.cells.slice(0, 8).map(cell => cell[attribute]);
+
+        if (attribute === 'lines') {
+            // The two cells before the answer along the rule's direction
+            const [a, b] = rule.direction === 'column'
+                ? [puzzle.cells[2].lines, puzzle.cells[5].lines]
+                : [puzzle.cells[6].lines, puzzle.cells[7].lines];
+            values.push(a | b, a ^ b, a & b);
+        } else {
+            const ruled = Object.fromEntries(puzzle.rules.map(r => [r.attribute, r]));
+            const domain = this.domain(attribute, ruled);
+            values.push(...[correct - 1, correct + 1].filter(value => domain.includes(value)));
+        }
+
+        return [...new Set(values)].filter(value => value !== correct);
+    },
+
+    /**
+     * Describe a rule in plain language
+     * @param {Object} rule - One of a puzzle's rules
+     * @returns {string}
+     */
+    describe(rule) {
+        const name = this.LABELS[rule.attribute];
+        const along = rule.direction === 'column' ? 'down each column' : 'along each row';
+        const third = rule.direction === 'column' ? 'the bottom cell' : 'the third cell';
+        const before = rule.direction === 'column' ? 'the two above it' : 'the first two';
+
+        switch (rule.rule) {
+            case 'constant':
+                return `The ${name} stays the same ${along}.`;
+            case 'progression':
+                return `The ${name} ${this.describeStep(rule)} ${along}.`;
+            case 'distribution':
+                return `The ${name} takes three values, each once in every row and column.`;
+            case 'xor':
+                return `${along[0].toUpperCase() + along.slice(1)}, ${third} has the lines found in only one of ${before}.`;
+            case 'union':
+                return `${along[0].toUpperCase() + along.slice(1)}, ${third} has every line from ${before}.`;
+            default:
+                return '';
+        }
+    },
+
+    /**
+     * Describe the change a progression makes at each step
+     * @param {Object} rule - A progression rule
+     * @returns {string}
+     */
+    describeStep(rule) {
+        const size = Math.abs(rule.step);
+        const up = rule.step > 0;
+
+        switch (rule.attribute) {
+            case 'shape':
+                return `${up ? 'gains' : 'loses'} ${size === 1 ? 'a side' : 'two sides'} at each step`;
+            case 'count':
+                return `goes ${up ? 'up' : 'down'} by ${size}`;
+            case 'rotation': {
+                const degrees = size * (this.ATTRIBUTES.rotation[1] - this.ATTRIBUTES.rotation[0]);
+                return `turns ${degrees}° ${up ? 'clockwise' : 'anticlockwise'} at each step`;
+            }
+            default:
+                return `${up ? 'grows' : 'shrinks'} ${size === 1 ? 'a step' : 'two steps'} at a time`;
+        }
+    },
+
+    /**
+     * Explain how a puzzle's answer is produced
+     * @param {Object} puzzle - Puzzle from generate()
+     * @returns {Array} One sentence per rule, then one for the fixed attributes
+     */
+    explain(puzzle) {
+        return [
+            ...puzzle.rules.map(rule => this.describe(rule)),
+            'Everything else is the same in every cell.'
+        ];
+    },
+
+    /**
+     * Explain what is wrong with a distractor
+     * @param {Object} puzzle - Puzzle from generate()
+     * @param {Object} cell - A cell from distractors()
+     * @returns {string}
+     */
+    explainMistake(puzzle, cell) {
+        const rule = puzzle.rules.find(r => r.attribute === cell.violates);
+        return rule
+            ? `That piece breaks a rule: ${this.describe(rule)}`
+            : `That piece changes the ${this.LABELS[cell.violates]}, which is the same in every cell.`;
+    },
+
+    /**
+     * Identify a cell by its attribute values
+     * @param {Object} cell - Matrix cell
+     * @returns {string}
+     */
+    key(cell) {
+        return [cell.shape, cell.count, cell.size, cell.rotation, cell.lines].join('-');
+    },
+
+    /**
+     * Render a cell as an SVG string
+     * @param {Object} cell - Matrix cell
+     * @returns {string} SVG markup
+     */
+    render(cell) {
+        const count = this.ATTRIBUTES.count[cell.count];
+        const radius = this.SLOT_RADIUS[count] * this.ATTRIBUTES.size[cell.size];
+        const shape = this.ATTRIBUTES.shape[cell.shape];
+        const rotation = this.ATTRIBUTES.rotation[cell.rotation];
+
+        const lines = this.LINES
+            .filter((_, bit) => cell.lines & (1 << bit))
+            .map(([x1, y1, x2, y2]) => `<line class="matrix-line" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"/>`)
+            .join('');
+
+        const shapes = this.SLOTS[count]
+            .map(([x, y]) => this.renderShape(shape, x, y, radius, rotation))
+            .join('');
+
+        return `<svg class="matrix-svg" viewBox="0 0 100 100">${lines}${shapes}</svg>`;
+    },
+
+    /**
+     * Render one shape, pointing up before rotation
+     * @returns {string} SVG element markup
+     */
+    renderShape(shape, x, y, radius, rotation) {
+        if (shape === 'circle') {
+            return `<circle class="matrix-shape" cx="${x}" cy="${y}" r="${radius.toFixed(1)}"/>`;
+        }
+
+        const sides = this.SIDES[shape];
+        const points = [...Array(sides).keys()].map(i => {
+            const angle = (-90 + rotation + i * 360 / sides) * Math.PI / 180;
+            return `${(x + radius * Math.cos(angle)).toFixed(1)},${(y + radius * Math.sin(angle)).toFixed(1)}`;
+        });
+        return `<polygon class="matrix-shape" points="${points.join(' ')}"/>`;
+    }
+};
@@ -0,0 +1,128 @@
+/**
+ * CogniTrain - Seeded Random Module
+ * A seedable pseudo-random generator (mulberry32) that every game draws its
+ * stimuli from, so a session can be replayed from the seed saved with it.
+ *
+ * Games call begin() when they start. The seed is, in order: one queued by a
+ * replay link, today's shared seed when the game's seed option is set to daily,
+ * or a fresh one. The same seed, options and responses give the same trials.
+ */
+
+const Random = {
+    // Seed in use and the generator state it started
+    seed: null,
+    state: 0,
+
+    // Seed to use for the next game, from a replay link
+    pending: null,
+
+    /**
+     * Seed the generator for a new game
+     * @param {string} game - Game identifier; its seed option is read from the page
+     * @returns {string} The seed, to save with the session
+     */
+    begin(game) {
+        const option = document.querySelector(`#${game}-game .diff-btn.active[data-seed]`);
+        const seed = this.pending
+            || (option?.dataset.seed === 'daily' ? this.dailySeed() : this.freshSeed());
+
+        this.pending = null;
+        this.use(seed);
+        return seed;
+    },
+
+    /**
+     * Use a seed for the next game instead of a new one
+     * @param {string} seed - Seed saved with an earlier session
+     */
+    queue(seed) {
+        this.pending = String(seed);
+    },
+
+    /**
+     * The seed everyone shares on a calendar day
+     * @param {Date} [date] - Day to get the seed for (defaults to today)
+     * @returns {string} e.g. 'daily-2024-05-01'
+     */
+    dailySeed(date = new Date()) {
+        return `daily-${DateUtils.format(date)}`;
+    },
+
+    /**
+     * Check whether a seed is a day's shared seed
+     * @param {string} seed - Seed from begin()
+     * @returns {boolean}
+     */
+    isDaily(seed) {
+        return String(seed).startsWith('daily-');
+    },
+
+    /**
+     * Make a new random seed
+     * @returns {string} Short base-36 string
+     */
+    freshSeed() {
+        return Math.floor(Math.random() * 2 ** 32).toString(36);
+    },
+
+    /**
+     * Restart the generator from a seed
+     * @param {string} seed - Any string
+     */
+    use(seed) {
+        this.seed = String(seed);
+
+        // FNV-1a hash of the seed gives the 32-bit starting state
+        let hash = 2166136261;
+        for (let i = 0; i < this.seed.length; i++) {
+            hash = Math.imul(hash ^ this.seed.charCodeAt(i), 16777619);
+        }
+        this.state = hash >>> 0;
+    },
+
+    /**
+     * Next number in the stream, like Math.random()
+     * @returns {number} 0 (inclusive) to 1 (exclusive)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+
+    /**
+     * Random integer below n
+     * @param {number} n - Upper bound (exclusive)
+     * @returns {number}
+     */
+    int(n) {
+        return Math.floor(this.next() * n);
+    },
+
+    /**
+     * Random item of an array
+     * @param {Array} items - Items to pick from
+     * @returns {*}
+     */
+    pick(items) {
+        return items[this.int(items.length)];
+    },
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @param {Array} items - Items to shuffle
+     * @returns {Array} The same array
+     */
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = this.int(i + 1);
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+};
+
+// Start seeded so anything drawn outside a game still works
+Random.use(Random.freshSeed());
@@ -0,0 +1,56 @@
+/**
+ * CogniTrain - Settings Module
+ * Applies stored settings to the open page: display preferences on <body>
+ * and each game's default difficulty
+ */
+
+const Settings = {
+    /**
+     * Apply all page-level settings
+     */
+    apply() {
+        const settings = Storage.getSettings();
+
+        document.body.classList.toggle('reduced-motion', settings.reducedMotion);
+        document.body.classList.toggle('high-contrast', settings.highContrast);
+
+        this.applyDefaultDifficulty(settings.defaultDifficulty);
+    },
+
+    /**
+     * Select each game's default difficulty button
+     * @param {Object} defaults - { game: difficulty }
+     */
+    applyDefaultDifficulty(defaults) {
+        for (const game in defaults) {
+            const container = document.getElementById(`${game}-game`);
+            const btn = container?.querySelector(`.diff-btn[data-diff="${defaults[game]}"]`);
+            if (!btn) continue;
+
+            container.querySelectorAll('.diff-btn[data-diff]').forEach(b => b.classList.toggle('active', b === btn));
+        }
+    },
+
+    /**
+     * Select option buttons in a game, e.g. to replay a session as it was played
+     * @param {string} game - Game identifier
+     * @param {Iterable} options - [name, value] pairs naming a button's data attribute and value
+     *   (e.g. ['diff', 'hard']); pairs with no matching button are ignored
+     */
+    applyOptions(game, options) {
+        const container = document.getElementById(`${game}-game`);
+        if (!container) return;
+
+        for (const [name, value] of options) {
+            if (!/^[a-z]+$/.test(name)) continue;
+
+            const btn = container.querySelector(`.diff-btn[data-${name}="${CSS.escape(value)}"]`);
+            if (!btn) continue;
+
+            btn.parentElement.querySelectorAll(`.diff-btn[data-${name}]`).forEach(b => b.classList.toggle('active', b === btn));
+        }
+    }
+};
+
+// Apply once stored settings are loaded
+Storage.ready.then(() => Settings.apply());
@@ -0,0 +1,52 @@
+/**
+ * CogniTrain - Sound Module
+ * Short feedback tones generated with the Web Audio API (no audio files)
+ */
+
+const Sound = {
+    // Note frequencies (Hz) played in sequence for each cue
+    TONES: {
+        correct: [660, 880],
+        incorrect: [220, 180],
+        complete: [523, 659, 784]
+    },
+
+    // Length of each note in seconds
+    NOTE_LENGTH: 0.09,
+
+    context: null,
+
+    /**
+     * Play a feedback cue, if sound is enabled
+     * @param {string} name - 'correct', 'incorrect' or 'complete'
+     */
+    play(name) {
+        const notes = this.TONES[name];
+        if (!notes || !Storage.getSetting('sound')) return;
+
+        try {
+            if (!this.context) {
+                const AudioContext = window.AudioContext || window.webkitAudioContext;
+                if (!AudioContext) return;
+                this.context = new AudioContext();
+            }
+
+            const start = this.context.currentTime;
+            notes.forEach((frequency, i) => {
+                const oscillator = this.context.createOscillator();
+                const gain = this.context.createGain();
+                const noteStart = start + i * this.NOTE_LENGTH;
+
+                oscillator.frequency.value = frequency;
+                gain.gain.setValueAtTime(0.15, noteStart);
+                gain.gain.exponentialRampToValueAtTime(0.001, noteStart + this.NOTE_LENGTH);
+
+                oscillator.connect(gain).connect(this.context.destination);
+                oscillator.start(noteStart);
+                oscillator.stop(noteStart + this.NOTE_LENGTH);
+            });
+        } catch {
+            // Audio is optional; ignore browsers that refuse to play
+        }
+    }
+};
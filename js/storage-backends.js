@@ -0,0 +1,376 @@
+/**
+ * CogniTrain - Storage Backends
+ * Persistence layers used by the Storage module. Every backend exposes the
+ * same promise-based interface so Storage can swap between them:
+ *   isAvailable(), open(), load(), addScore(game, entry),
+ *   setMeta(key, value), replaceAll(data), clear()
+ *
+ * load() and replaceAll() work with { scores: { game: [entries] }, meta: { key: value } }
+ */
+
+/**
+ * IndexedDB backend - preferred, no entry cap and a much larger quota
+ */
+const IndexedDBBackend = {
+    name: 'indexedDB',
+    DB_NAME: 'cognitrain',
+    DB_VERSION: 1,
+
+    db: null,
+
+    /**
+     * Check whether IndexedDB exists in this browser
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    },
+
+    /**
+     * Open (and create or upgrade) the database
+     * @returns {Promise}
+     */
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = (event) => this.upgrade(request.result, event.oldVersion);
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+        });
+    },
+
+    /**
+     * Create or upgrade object stores
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {number} oldVersion - Version before the upgrade (0 for a new database)
+     */
+    upgrade(db, oldVersion) {
+        // Version 1: one record per score, plus a key/value store for streak, settings etc.
+        if (oldVersion < 1) {
+            const scores = db.createObjectStore('scores', { keyPath: 'id', autoIncrement: true });
+            scores.createIndex('game', 'game');
+            scores.createIndex('timestamp', 'timestamp');
+            db.createObjectStore('meta');
+        }
+    },
+
+    /**
+     * Run work inside a transaction
+     * @param {Array} stores - Object store names
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Receives the transaction, returns the resolved value
+     * @returns {Promise} Resolves with work's return value once the transaction completes
+     */
+    transaction(stores, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(stores, mode);
+            const result = work(tx);
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * Load all scores and meta values
+     * @returns {Promise<Object>} { scores, meta }
+     */
+    load() {
+        const data = { scores: {}, meta: {} };
+
+        return this.transaction(['scores', 'meta'], 'readonly', tx => {
+            tx.objectStore('scores').getAll().onsuccess = (event) => {
+                for (const record of event.target.result) {
+                    const { id, game, ...entry } = record;
+                    if (!data.scores[game]) {
+                        data.scores[game] = [];
+                    }
+                    data.scores[game].push(entry);
+                }
+
+                for (const game in data.scores) {
+                    data.scores[game].sort((a, b) => a.timestamp - b.timestamp);
+                }
+            };
+
+            tx.objectStore('meta').openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    data.meta[cursor.key] = cursor.value;
+                    cursor.continue();
+                }
+            };
+
+            return data;
+        });
+    },
+
+    /**
+     * Append a score entry
+     * @param {string} game - Game identifier
+     * @param {Object} entry - Score entry
+     * @returns {Promise}
+     */
+    addScore(game, entry) {
+        return this.transaction(['scores'], 'readwrite', tx => {
+            tx.objectStore('scores').add({ ...entry, game });
+        });
+    },
+
+    /**
+     * Store a meta value
+     * @param {string} key - Meta key (e.g. 'streak')
+     * @param {*} value - Any structured-cloneable value
+     * @returns {Promise}
+     */
+    setMeta(key, value) {
+        return this.transaction(['meta'], 'readwrite', tx => {
+            tx.objectStore('meta').put(value, key);
+        });
+    },
+
+    /**
+     * Replace everything stored with the given data
+     * @param {Object} data - { scores, meta }
+     * @returns {Promise}
+     */
+    replaceAll(data) {
+        return this.transaction(['scores', 'meta'], 'readwrite', tx => {
+            const scores = tx.objectStore('scores');
+            const meta = tx.objectStore('meta');
+
+            scores.clear();
+            meta.clear();
+
+            for (const game in data.scores) {
+                for (const entry of data.scores[game]) {
+                    scores.add({ ...entry, game });
+                }
+            }
+
+            for (const key in data.meta) {
+                meta.put(data.meta[key], key);
+            }
+        });
+    },
+
+    /**
+     * Remove everything
+     * @returns {Promise}
+     */
+    clear() {
+        return this.replaceAll({ scores: {}, meta: {} });
+    }
+};
+
+/**
+ * LocalStorage backend - fallback when IndexedDB can't be opened.
+ * Uses the original key layout, so it is also where pre-IndexedDB data lives.
+ */
+const LocalStorageBackend = {
+    name: 'localStorage',
+
+    KEYS: {
+        SCORES: 'cognitrain_scores',
+        STREAK: 'cognitrain_streak',
+        LAST_PLAYED: 'cognitrain_last_played',
+        SETTINGS: 'cognitrain_settings',
+        META: 'cognitrain_meta'
+    },
+
+    // Meta values that keep their own localStorage key
+    META_KEYS: {
+        streak: 'STREAK',
+        settings: 'SETTINGS'
+    },
+
+    // localStorage is capped at ~5MB, so only the most recent entries are kept,
+    // and only the most recent of those keep their trial logs
+    maxScoresPerGame: 100,
+    maxTrialLogsPerGame: 10,
+
+    /**
+     * Check whether localStorage can be used
+     * @returns {boolean}
+     */
+    isAvailable() {
+        try {
+            return typeof localStorage !== 'undefined';
+        } catch {
+            return false;
+        }
+    },
+
+    /**
+     * Nothing to open for localStorage
+     * @returns {Promise}
+     */
+    open() {
+        return Promise.resolve();
+    },
+
+    /**
+     * Read and parse a JSON value
+     * @param {string} key - localStorage key
+     * @param {*} fallback - Returned when missing or unreadable
+     * @returns {*} Parsed value
+     */
+    read(key, fallback) {
+        try {
+            return JSON.parse(localStorage.getItem(key)) || fallback;
+        } catch {
+            return fallback;
+        }
+    },
+
+    /**
+     * Read data written before storage backends existed (schema version 1)
+     * @returns {Object} { scores, streak }
+     */
+    readLegacy() {
+        return {
+            scores: this.read(this.KEYS.SCORES, {}),
+            streak: this.read(this.KEYS.STREAK, null)
+        };
+    },
+
+    /**
+     * Remove the schema version 1 keys once they have been imported elsewhere.
+     * Failures are ignored: leftover keys would only be merged again, and
+     * merging skips scores it already has.
+     */
+    clearLegacy() {
+        try {
+            localStorage.removeItem(this.KEYS.SCORES);
+            localStorage.removeItem(this.KEYS.STREAK);
+            localStorage.removeItem(this.KEYS.LAST_PLAYED);
+        } catch {
+            // localStorage is unavailable (e.g. blocked by privacy settings)
+        }
+    },
+
+    /**
+     * Load all scores and meta values
+     * @returns {Promise<Object>} { scores, meta }
+     */
+    load() {
+        const meta = this.read(this.KEYS.META, {});
+
+        for (const metaKey in this.META_KEYS) {
+            const value = this.read(this.KEYS[this.META_KEYS[metaKey]], null);
+            if (value !== null) {
+                meta[metaKey] = value;
+            }
+        }
+
+        return Promise.resolve({ scores: this.read(this.KEYS.SCORES, {}), meta });
+    },
+
+    /**
+     * Write the scores blob, trimming each game to the caps
+     * @param {Object} scores - Scores organized by game
+     */
+    writeScores(scores) {
+        const trimmed = {};
+        for (const game in scores) {
+            const kept = scores[game].slice(-this.maxScoresPerGame);
+            const firstLogged = kept.length - this.maxTrialLogsPerGame;
+
+            trimmed[game] = kept.map((entry, i) => {
+                if (i >= firstLogged || !entry.session?.trials) return entry;
+                const { trials, ...session } = entry.session;
+                return { ...entry, session };
+            });
+        }
+        localStorage.setItem(this.KEYS.SCORES, JSON.stringify(trimmed));
+    },
+
+    /**
+     * Append a score entry
+     * @param {string} game - Game identifier
+     * @param {Object} entry - Score entry
+     * @returns {Promise}
+     */
+    addScore(game, entry) {
+        return new Promise(resolve => {
+            const scores = this.read(this.KEYS.SCORES, {});
+            if (!scores[game]) {
+                scores[game] = [];
+            }
+            scores[game].push(entry);
+            this.writeScores(scores);
+            resolve();
+        });
+    },
+
+    /**
+     * Store a meta value
+     * @param {string} key - Meta key (e.g. 'streak')
+     * @param {*} value - Any JSON-serialisable value
+     * @returns {Promise}
+     */
+    setMeta(key, value) {
+        return new Promise(resolve => {
+            if (this.META_KEYS[key]) {
+                localStorage.setItem(this.KEYS[this.META_KEYS[key]], JSON.stringify(value));
+            } else {
+                const meta = this.read(this.KEYS.META, {});
+                meta[key] = value;
+                localStorage.setItem(this.KEYS.META, JSON.stringify(meta));
+            }
+            resolve();
+        });
+    },
+
+    /**
+     * Replace everything stored with the given data
+     * @param {Object} data - { scores, meta }
+     * @returns {Promise}
+     */
+    replaceAll(data) {
+        return new Promise(resolve => {
+            // Write the new values before removing anything, so a full quota leaves the old data in place
+            const written = new Set([this.KEYS.SCORES, this.KEYS.META]);
+            const meta = {};
+
+            this.writeScores(data.scores);
+            for (const key in data.meta) {
+                if (this.META_KEYS[key]) {
+                    const storageKey = this.KEYS[this.META_KEYS[key]];
+                    localStorage.setItem(storageKey, JSON.stringify(data.meta[key]));
+                    written.add(storageKey);
+                } else {
+                    meta[key] = data.meta[key];
+                }
+            }
+            localStorage.setItem(this.KEYS.META, JSON.stringify(meta));
+
+            // Then drop the keys the new data has no value for
+            for (const key in this.KEYS) {
+                if (!written.has(this.KEYS[key])) {
+                    localStorage.removeItem(this.KEYS[key]);
+                }
+            }
+            resolve();
+        });
+    },
+
+    /**
+     * Remove everything
+     * @returns {Promise}
+     */
+    clear() {
+        return new Promise(resolve => {
+            for (const key in this.KEYS) {
+                localStorage.removeItem(this.KEYS[key]);
+            }
+            resolve();
+        });
+    }
+};
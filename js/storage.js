@@ -1,30 +1,268 @@
 /**
  * CogniTrain - Storage Module
- * Handles all LocalStorage operations for saving progress
+ * Handles saving progress. Data lives in a pluggable backend (see storage-backends.js)
+ * and is mirrored in memory, so reads stay synchronous once Storage.ready resolves.
  */
 
 const Storage = {
-    KEYS: {
-        SCORES: 'cognitrain_scores',
-        STREAK: 'cognitrain_streak',
-        LAST_PLAYED: 'cognitrain_last_played',
-        SETTINGS: 'cognitrain_settings'
+    KEYS: LocalStorageBackend.KEYS,
+
+    // Version of the stored data layout; bump it and add a migration when the layout changes
+    SCHEMA_VERSION: 3,
+
+    // Settings used when the user hasn't chosen otherwise
+    DEFAULT_SETTINGS: {
+        defaultDifficulty: Object.fromEntries(GameCatalog.ids().map(game => [game, 'easy'])),
+        sessionLength: 3,
+        dailyGoal: 3,
+        sound: true,
+        reducedMotion: false,
+        highContrast: false,
+        dayRolloverHour: 0,
+        restDays: [],
+        stroopKeys: { Red: 'r', Green: 'g', Blue: 'b', Yellow: 'y' }
     },
 
+    // Streak rules: a freeze is earned every FREEZE_EVERY active days, up to MAX_FREEZES
+    FREEZE_EVERY: 7,
+    MAX_FREEZES: 2,
+
+    // How many past streak runs and frozen days to keep
+    STREAK_HISTORY_LIMIT: 50,
+
+    // Backends in order of preference
+    backends: [IndexedDBBackend, LocalStorageBackend],
+
     /**
-     * Initialize storage with default values if empty
+     * Data migrations, applied in order to stored data older than their version.
+     * migrate(data) edits { scores, meta } in place; cleanup(backend) runs once
+     * the migrated data has been written.
+     */
+    migrations: [
+        {
+            // v2: scores move out of the single localStorage blob into the active backend
+            version: 2,
+            migrate(data) {
+                const legacy = LocalStorageBackend.readLegacy();
+                Storage.mergeScores(data.scores, legacy.scores);
+                if (!data.meta.streak && legacy.streak) {
+                    data.meta.streak = legacy.streak;
+                }
+            },
+            cleanup(backend) {
+                if (backend !== LocalStorageBackend) {
+                    LocalStorageBackend.clearLegacy();
+                }
+            }
+        },
+        {
+            // v3: dates were UTC days; recompute them as local days
+            version: 3,
+            migrate(data) {
+                Storage.recomputeDates(data);
+            }
+        }
+    ],
+
+    // Active backend and in-memory copy of everything it holds
+    backend: null,
+    scores: {},
+    meta: {},
+
+    // Resolves once stored data has been loaded; read nothing before this
+    ready: null,
+
+    // Callbacks run after every saved score
+    scoreListeners: [],
+
+    /**
+     * Open storage, load data and update the streak
+     * @returns {Promise} Resolves when storage is ready
      */
     init() {
-        if (!localStorage.getItem(this.KEYS.SCORES)) {
-            localStorage.setItem(this.KEYS.SCORES, JSON.stringify({}));
+        this.ready = this.open().then(() => this.updateStreak());
+        return this.ready;
+    },
+
+    /**
+     * Open the first working backend, migrate its data and fill the cache.
+     * If no backend works, data is kept in memory for this page only.
+     */
+    async open() {
+        for (const backend of this.backends) {
+            if (!backend.isAvailable()) continue;
+
+            try {
+                await backend.open();
+                const data = await backend.load();
+                DateUtils.setRolloverHour(data.meta.settings?.dayRolloverHour);
+                await this.migrate(data, backend);
+
+                this.backend = backend;
+                this.scores = data.scores;
+                this.meta = data.meta;
+                return;
+            } catch (err) {
+                console.warn(`CogniTrain: ${backend.name} storage unavailable`, err);
+            }
         }
-        if (!localStorage.getItem(this.KEYS.STREAK)) {
-            localStorage.setItem(this.KEYS.STREAK, JSON.stringify({
-                count: 0,
-                lastDate: null
-            }));
+    },
+
+    /**
+     * Bring loaded data up to SCHEMA_VERSION and write it back
+     * @param {Object} data - { scores, meta } as loaded from the backend
+     * @param {Object} backend - Backend the data came from
+     */
+    async migrate(data, backend) {
+        const version = data.meta.schemaVersion || 1;
+        if (version >= this.SCHEMA_VERSION) return;
+
+        const pending = this.migrations.filter(m => m.version > version);
+        pending.forEach(m => m.migrate(data));
+        data.meta.schemaVersion = this.SCHEMA_VERSION;
+
+        await backend.replaceAll(data);
+        pending.forEach(m => m.cleanup && m.cleanup(backend));
+    },
+
+    /**
+     * Run a write against the active backend, logging failures
+     * @param {Function} operation - Receives the backend, returns a promise
+     * @returns {Promise}
+     */
+    persist(operation) {
+        if (!this.backend) return Promise.resolve();
+
+        return operation(this.backend).catch(err => {
+            console.error('CogniTrain: failed to write to storage', err);
+        });
+    },
+
+    /**
+     * Merge score entries into a scores object, skipping duplicates by timestamp
+     * @param {Object} target - Scores organized by game (modified in place)
+     * @param {Object} incoming - Scores organized by game
+     * @returns {number} Number of entries added
+     */
+    mergeScores(target, incoming) {
+        let added = 0;
+
+        for (const game in incoming) {
+            if (!target[game]) {
+                target[game] = [];
+            }
+
+            const seen = new Set(target[game].map(s => s.timestamp));
+            for (const entry of incoming[game]) {
+                if (seen.has(entry.timestamp)) continue;
+                seen.add(entry.timestamp);
+                target[game].push(entry);
+                added++;
+            }
+
+            target[game].sort((a, b) => a.timestamp - b.timestamp);
         }
+
+        return added;
+    },
+
+    /**
+     * Recompute every score's day from its timestamp (after the day boundary changes)
+     * @param {Object} data - { scores, meta } (modified in place)
+     */
+    recomputeDates(data) {
+        let latest = null;
+
+        for (const game in data.scores) {
+            for (const entry of data.scores[game]) {
+                entry.date = this.getDateString(new Date(entry.timestamp));
+                if (!latest || entry.timestamp > latest.timestamp) {
+                    latest = entry;
+                }
+            }
+        }
+
+        // The streak's last day is the day of the most recent exercise
+        if (latest && data.meta.streak?.lastDate) {
+            data.meta.streak.lastDate = latest.date;
+        }
+    },
+
+    /**
+     * Get a meta value (streak, settings, ...)
+     * @param {string} key - Meta key
+     * @returns {*} Stored value or undefined
+     */
+    getMeta(key) {
+        return this.meta[key];
+    },
+
+    /**
+     * Set a meta value and persist it
+     * @param {string} key - Meta key
+     * @param {*} value - Value to store
+     * @returns {Promise} Resolves once the value has been written
+     */
+    setMeta(key, value) {
+        this.meta[key] = value;
+        return this.persist(backend => backend.setMeta(key, value));
+    },
+
+    /**
+     * Get all settings, with defaults filled in
+     * @returns {Object} Settings (see DEFAULT_SETTINGS)
+     */
+    getSettings() {
+        const stored = this.getMeta('settings') || {};
+        return {
+            ...this.DEFAULT_SETTINGS,
+            ...stored,
+            defaultDifficulty: { ...this.DEFAULT_SETTINGS.defaultDifficulty, ...stored.defaultDifficulty },
+            stroopKeys: { ...this.DEFAULT_SETTINGS.stroopKeys, ...stored.stroopKeys }
+        };
+    },
+
+    /**
+     * Get a single setting
+     * @param {string} key - Setting name
+     * @param {*} fallback - Returned when the setting has no stored or default value
+     * @returns {*} Setting value
+     */
+    getSetting(key, fallback = null) {
+        return this.getSettings()[key] ?? fallback;
+    },
+
+    /**
+     * Store one or more settings
+     * @param {Object} changes - Settings to change; others are kept
+     * @returns {Promise} Resolves once the settings have been written
+     */
+    updateSettings(changes) {
+        return this.setMeta('settings', { ...this.getMeta('settings'), ...changes });
+    },
+
+    /**
+     * Store a single setting
+     * @param {string} key - Setting name
+     * @param {*} value - Setting value
+     * @returns {Promise} Resolves once the setting has been written
+     */
+    setSetting(key, value) {
+        return this.updateSettings({ [key]: value });
+    },
+
+    /**
+     * Change the hour a new day starts and re-date existing scores to match
+     * @param {number} hour - 0 to 23
+     */
+    setDayRolloverHour(hour) {
+        DateUtils.setRolloverHour(hour);
+        this.setSetting('dayRolloverHour', DateUtils.rolloverHour);
+
+        const data = { scores: this.scores, meta: this.meta };
+        this.recomputeDates(data);
         this.updateStreak();
+        this.persist(backend => backend.replaceAll(data));
     },
 
     /**
@@ -32,29 +270,37 @@ const Storage = {
      * @param {string} game - Game identifier (e.g., 'memory-match')
      * @param {number} score - The score achieved
      * @param {string} difficulty - 'easy', 'medium', or 'hard'
+     * @param {Object} session - Optional session record ({ trials, ... }) kept with the score
      */
-    saveScore(game, score, difficulty) {
-        const scores = this.getAllScores();
-        const today = this.getDateString();
-
-        if (!scores[game]) {
-            scores[game] = [];
-        }
-
-        scores[game].push({
+    saveScore(game, score, difficulty, session = null) {
+        const entry = {
             score: score,
             difficulty: difficulty,
-            date: today,
+            date: this.getDateString(),
             timestamp: Date.now()
-        });
+        };
 
-        // Keep only last 100 scores per game
-        if (scores[game].length > 100) {
-            scores[game] = scores[game].slice(-100);
+        if (session) {
+            entry.session = session;
         }
 
-        localStorage.setItem(this.KEYS.SCORES, JSON.stringify(scores));
+        if (!this.scores[game]) {
+            this.scores[game] = [];
+        }
+        this.scores[game].push(entry);
+
+        this.persist(backend => backend.addScore(game, entry));
         this.updateStreak();
+
+        this.scoreListeners.forEach(listener => listener(game, entry));
+    },
+
+    /**
+     * Register a callback for saved scores
+     * @param {Function} listener - Called with (game, entry) after each saveScore
+     */
+    onScoreSaved(listener) {
+        this.scoreListeners.push(listener);
     },
 
     /**
@@ -67,16 +313,23 @@ const Storage = {
         return scores[game] || [];
     },
 
+    /**
+     * Get the session records (trial logs) saved with a game's scores
+     * @param {string} game - Game identifier
+     * @returns {Array} Array of { score, difficulty, timestamp, session } objects
+     */
+    getSessions(game) {
+        return this.getScores(game)
+            .filter(s => s.session)
+            .map(s => ({ score: s.score, difficulty: s.difficulty, timestamp: s.timestamp, session: s.session }));
+    },
+
     /**
      * Get all scores
      * @returns {Object} All scores organized by game
      */
     getAllScores() {
-        try {
-            return JSON.parse(localStorage.getItem(this.KEYS.SCORES)) || {};
-        } catch {
-            return {};
-        }
+        return this.scores;
     },
 
     /**
@@ -141,74 +394,130 @@ const Storage = {
      * @returns {number} Current streak count
      */
     getStreak() {
-        try {
-            const streak = JSON.parse(localStorage.getItem(this.KEYS.STREAK));
-            return streak?.count || 0;
-        } catch {
-            return 0;
+        return this.getMeta('streak')?.count || 0;
+    },
+
+    /**
+     * Get the full streak record
+     * @returns {Object} { count, lastDate, start, longest, freezes, frozen, runs, checkedThrough }
+     */
+    getStreakInfo() {
+        const streak = {
+            count: 0,
+            lastDate: null,
+            start: null,
+            longest: 0,
+            freezes: 0,
+            frozen: [],
+            runs: [],
+            checkedThrough: null,
+            ...this.getMeta('streak')
+        };
+
+        // Records from before streak history lack these
+        if (streak.count > 0 && !streak.start) {
+            streak.start = DateUtils.addDays(streak.lastDate, -(streak.count - 1));
         }
+        streak.longest = Math.max(streak.longest, streak.count);
+
+        return streak;
+    },
+
+    /**
+     * Check whether a day is one of the user's weekly rest days
+     * @param {string} day - 'YYYY-MM-DD'
+     * @returns {boolean}
+     */
+    isRestDay(day) {
+        return this.getSetting('restDays', []).includes(DateUtils.weekday(day));
     },
 
     /**
-     * Update streak based on activity
+     * Update streak based on activity.
+     * Missed days before today are settled once each: rest days are skipped,
+     * other days use up a freeze if one is available, otherwise the streak ends.
      */
     updateStreak() {
         const today = this.getDateString();
-        const yesterday = this.getDateString(new Date(Date.now() - 86400000));
+        const streak = this.getStreakInfo();
+
+        if (streak.count > 0) {
+            const from = streak.checkedThrough > streak.lastDate ? streak.checkedThrough : streak.lastDate;
+
+            for (let day = DateUtils.addDays(from, 1); day < today && streak.count > 0; day = DateUtils.addDays(day, 1)) {
+                if (this.isRestDay(day)) continue;
+
+                if (streak.freezes > 0) {
+                    streak.freezes--;
+                    streak.frozen = [...streak.frozen, day].slice(-this.STREAK_HISTORY_LIMIT);
+                } else {
+                    // Streak broken - keep it in the history
+                    streak.runs = [...streak.runs, { start: streak.start, end: streak.lastDate, length: streak.count }]
+                        .slice(-this.STREAK_HISTORY_LIMIT);
+                    streak.count = 0;
+                    streak.start = null;
+                }
+            }
 
-        let streak;
-        try {
-            streak = JSON.parse(localStorage.getItem(this.KEYS.STREAK)) || { count: 0, lastDate: null };
-        } catch {
-            streak = { count: 0, lastDate: null };
+            streak.checkedThrough = DateUtils.addDays(today, -1);
         }
 
         // Check if played today
-        const todayScores = this.getTodayScores();
+        if (this.getTodayCount() > 0 && streak.lastDate !== today) {
+            if (streak.count === 0) {
+                streak.start = today;
+            }
+            streak.count += 1;
+            streak.lastDate = today;
+            streak.longest = Math.max(streak.longest, streak.count);
 
-        if (todayScores.length > 0) {
-            if (streak.lastDate === today) {
-                // Already counted today
-                return;
-            } else if (streak.lastDate === yesterday) {
-                // Continuing streak
-                streak.count += 1;
-                streak.lastDate = today;
-            } else {
-                // Starting new streak
-                streak.count = 1;
-                streak.lastDate = today;
+            if (streak.count % this.FREEZE_EVERY === 0 && streak.freezes < this.MAX_FREEZES) {
+                streak.freezes++;
             }
-        } else if (streak.lastDate !== today && streak.lastDate !== yesterday) {
-            // Streak broken
-            streak.count = 0;
         }
 
-        localStorage.setItem(this.KEYS.STREAK, JSON.stringify(streak));
+        this.setMeta('streak', streak);
     },
 
     /**
-     * Get date string in YYYY-MM-DD format
-     * @param {Date} date - Date object (defaults to today)
+     * Count exercises per day
+     * @returns {Object} { 'YYYY-MM-DD': count }
+     */
+    getActivityByDay() {
+        const allScores = this.getAllScores();
+        const activity = {};
+
+        for (const game in allScores) {
+            for (const score of allScores[game]) {
+                activity[score.date] = (activity[score.date] || 0) + 1;
+            }
+        }
+
+        return activity;
+    },
+
+    /**
+     * Get the local day a moment belongs to, in YYYY-MM-DD format
+     * @param {Date} date - Date object (defaults to now)
      * @returns {string} Date string
      */
     getDateString(date = new Date()) {
-        return date.toISOString().split('T')[0];
+        return DateUtils.dayKey(date);
     },
 
     /**
      * Get recent scores for progress display
-     * @param {number} days - Number of days to look back
+     * @param {number} days - Number of days to look back, including today
      * @returns {Object} Scores organized by date
      */
     getRecentScores(days = 7) {
         const allScores = this.getAllScores();
         const result = {};
-        const cutoff = Date.now() - (days * 86400000);
+        const firstDay = DateUtils.addDays(this.getDateString(), -(days - 1));
 
         for (const game in allScores) {
             for (const score of allScores[game]) {
-                if (score.timestamp >= cutoff) {
+                if (score.date >= firstDay) {
                     if (!result[score.date]) {
                         result[score.date] = [];
                     }
@@ -247,15 +556,64 @@ const Storage = {
         };
     },
 
+    /**
+     * Get everything needed to rebuild this user's data elsewhere
+     * @returns {Object} { scores, streak, settings }
+     */
+    exportData() {
+        return {
+            scores: this.getAllScores(),
+            streak: this.getMeta('streak') || null,
+            settings: this.getMeta('settings') || {}
+        };
+    },
+
+    /**
+     * Merge previously exported data into the current data
+     * @param {Object} data - { scores, streak, settings } (already validated)
+     * @returns {number} Number of score entries added (duplicates are skipped)
+     */
+    importData(data) {
+        // An imported day boundary applies as if it were changed on the settings page
+        const rolloverHour = data.settings?.dayRolloverHour;
+        const rolloverChanged = rolloverHour !== undefined && rolloverHour !== DateUtils.rolloverHour;
+
+        if (data.settings) {
+            this.meta.settings = { ...this.getMeta('settings'), ...data.settings };
+        }
+        if (rolloverChanged) {
+            DateUtils.setRolloverHour(rolloverHour);
+            this.recomputeDates({ scores: this.scores, meta: this.meta });
+        }
+
+        // Exported days are the exporting device's (UTC days before schema v3),
+        // so re-date the entries and their streak by this device's day boundary
+        this.recomputeDates({ scores: data.scores, meta: { streak: data.streak } });
+
+        const added = this.mergeScores(this.scores, data.scores);
+
+        // Keep whichever streak was active most recently
+        const streak = this.getMeta('streak');
+        if (data.streak && (!streak?.lastDate || (data.streak.lastDate || '') > streak.lastDate)) {
+            this.meta.streak = data.streak;
+        }
+
+        this.updateStreak();
+        this.persist(backend => backend.replaceAll({ scores: this.scores, meta: this.meta }));
+
+        return added;
+    },
+
     /**
      * Clear all data (for testing/reset)
+     * @returns {Promise} Resolves once the backend has been cleared
      */
     clearAll() {
-        localStorage.removeItem(this.KEYS.SCORES);
-        localStorage.removeItem(this.KEYS.STREAK);
-        localStorage.removeItem(this.KEYS.LAST_PLAYED);
-        localStorage.removeItem(this.KEYS.SETTINGS);
-        this.init();
+        this.scores = {};
+        this.meta = { schemaVersion: this.SCHEMA_VERSION };
+        this.updateStreak();
+
+        return this.persist(backend => backend.replaceAll({ scores: this.scores, meta: this.meta }));
     }
 };
 
@@ -0,0 +1,226 @@
+/**
+ * CogniTrain - Training Session Module
+ * Guided daily session: builds a plan of games across categories, weighted
+ * toward the weakest domain, launches them in order and summarises the results.
+ * The session in progress is kept in storage so it survives page changes.
+ */
+
+const TrainingSession = {
+    // Domains that get a game each, weakest first, as far as the session length allows
+    CATEGORIES: ['memory', 'attention', 'reasoning', 'executive', 'speed'],
+
+    // Last write of the session record; leaving the page before it lands can lose it
+    saving: Promise.resolve(),
+
+    /**
+     * Get today's session, if one has been started
+     * @returns {Object|null} { date, plan, results, startedAt }
+     */
+    getActive() {
+        const session = Storage.getMeta('trainingSession');
+        return session && session.date === Storage.getDateString() ? session : null;
+    },
+
+    /**
+     * Check whether every planned game has a result
+     * @param {Object} session - Session record
+     * @returns {boolean}
+     */
+    isComplete(session) {
+        return session.results.length >= session.plan.length;
+    },
+
+    /**
+     * Get the game the session is waiting for
+     * @returns {string|null} Game identifier
+     */
+    currentGame() {
+        const session = this.getActive();
+        return session && !this.isComplete(session) ? session.plan[session.results.length] : null;
+    },
+
+    /**
+     * Build a plan: one game per category with the weakest first, and any
+     * extra slots spent on the weakest domain overall
+     * @param {number} length - Number of games (defaults to the session length setting)
+     * @returns {Array} Game identifiers
+     */
+    buildPlan(length = Storage.getSetting('sessionLength')) {
+        const profile = Domains.compute();
+        const rank = domain => profile[domain]?.score ?? -1;
+        const weakest = Domains.weakest();
+
+        const slots = [...this.CATEGORIES].sort((a, b) => rank(a) - rank(b));
+        while (slots.length < length) {
+            slots.push(weakest);
+        }
+
+        const plan = [];
+        for (const domain of slots.slice(0, length)) {
+            plan.push(this.pickGame(domain, plan));
+        }
+        return plan;
+    },
+
+    /**
+     * Pick the least recently played game of a domain, avoiding repeats
+     * @param {string} domain - Domain key
+     * @param {Array} planned - Games already in the plan
+     * @returns {string} Game identifier
+     */
+    pickGame(domain, planned) {
+        const games = Object.keys(GameCatalog.inDomain(domain));
+        const fresh = games.filter(game => !planned.includes(game));
+        const lastPlayed = game => Storage.getScores(game).slice(-1)[0]?.timestamp || 0;
+
+        return (fresh.length > 0 ? fresh : games).sort((a, b) => lastPlayed(a) - lastPlayed(b))[0];
+    },
+
+    /**
+     * Start a new session and open its first game
+     * @param {number} length - Number of games (defaults to the session length setting)
+     * @returns {Promise} Resolves as the first game opens
+     */
+    start(length = Storage.getSetting('sessionLength')) {
+        this.saving = Storage.setMeta('trainingSession', {
+            date: Storage.getDateString(),
+            plan: this.buildPlan(length),
+            results: [],
+            startedAt: Date.now()
+        });
+        return this.launch();
+    },
+
+    /**
+     * Link to a page, relative to the current page
+     * @param {string} page - File name, e.g. 'memory.html', or 'index.html' for the dashboard
+     * @returns {string} URL
+     */
+    pageUrl(page) {
+        const inPages = window.location.pathname.includes('/pages/');
+        if (page === 'index.html') {
+            return inPages ? '../index.html' : 'index.html';
+        }
+        return inPages ? page : `pages/${page}`;
+    },
+
+    /**
+     * Go to the game the session is waiting for, or to the dashboard summary,
+     * once the session record has been written
+     * @returns {Promise} Resolves as the page changes
+     */
+    launch() {
+        return this.saving.then(() => {
+            const game = this.currentGame();
+            window.location.href = game
+                ? `${this.pageUrl(GameCatalog.GAMES[game].page)}?game=${game}`
+                : `${this.pageUrl('index.html')}#session`;
+        });
+    },
+
+    /**
+     * Record a saved score if it is the game the session is waiting for
+     * @param {string} game - Game identifier
+     * @param {Object} entry - Saved score entry
+     */
+    handleScore(game, entry) {
+        const session = this.getActive();
+        if (!session || this.currentGame() !== game) return;
+
+        this.saving = Storage.setMeta('trainingSession', {
+            ...session,
+            results: [...session.results, {
+                game: game,
+                score: entry.score,
+                difficulty: entry.difficulty,
+                timestamp: entry.timestamp
+            }]
+        });
+
+        this.showContinue(game);
+    },
+
+    /**
+     * Add a "next game" button to the game's result message
+     * @param {string} game - Game identifier
+     */
+    showContinue(game) {
+        const message = document.querySelector(`#${game}-game .game-message`);
+        if (!message) return;
+
+        message.querySelector('.session-next')?.remove();
+
+        const next = this.currentGame();
+        const btn = document.createElement('button');
+        btn.className = 'start-btn session-next';
+        btn.textContent = next ? `Next: ${GameCatalog.name(next)}` : 'See Session Summary';
+        btn.addEventListener('click', () => this.launch());
+        message.appendChild(btn);
+    },
+
+    /**
+     * Render the session panel on the dashboard
+     * @param {HTMLElement} container - Element to fill
+     */
+    renderPanel(container) {
+        const session = this.getActive();
+        container.innerHTML = '';
+
+        if (!session) {
+            const plan = this.buildPlan();
+            container.innerHTML = `
+                <p class="session-plan">${plan.map(game => GameCatalog.name(game)).join(' → ')}</p>
+                <button class="session-btn" id="session-start">Start Today's Session</button>
+            `;
+            container.querySelector('#session-start').addEventListener('click', () => this.start());
+            return;
+        }
+
+        if (!this.isComplete(session)) {
+            const done = session.results.length;
+            container.innerHTML = `
+                <p class="session-plan">${session.plan.map((game, i) =>
+                    `<span class="${i < done ? 'done' : ''}">${GameCatalog.name(game)}</span>`
+                ).join(' → ')}</p>
+                <button class="session-btn" id="session-continue">Continue Session (${done}/${session.plan.length})</button>
+            `;
+            container.querySelector('#session-continue').addEventListener('click', () => this.launch());
+            return;
+        }
+
+        container.innerHTML = this.renderSummary(session);
+    },
+
+    /**
+     * Build the summary of a finished session
+     * @param {Object} session - Completed session record
+     * @returns {string} HTML
+     */
+    renderSummary(session) {
+        const total = session.results.reduce((sum, r) => sum + r.score, 0);
+        const last = session.results[session.results.length - 1];
+        const minutes = Math.max(1, Math.round((last.timestamp - session.startedAt) / 60000));
+
+        const rows = session.results.map(result => {
+            const earlier = Storage.getScores(result.game)
+                .filter(s => s.difficulty === result.difficulty && s.timestamp < result.timestamp);
+            const isBest = earlier.length > 0 && result.score > Math.max(...earlier.map(s => s.score));
+
+            return `
+                <li>
+                    <span>${GameCatalog.name(result.game)} <small>${result.difficulty}</small></span>
+                    <strong>${result.score}${isBest ? ' ★' : ''}</strong>
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <p>Session complete: ${session.results.length} games in ${minutes} min, ${total} points.</p>
+            <ul class="session-summary">${rows}</ul>
+            ${rows.includes('★') ? '<p class="session-note">★ new personal best</p>' : ''}
+        `;
+    }
+};
+
+// Track results for the session in progress
+Storage.onScoreSaved((game, entry) => TrainingSession.handleScore(game, entry));